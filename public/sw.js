@@ -0,0 +1,111 @@
+// Offline cache for the NEST viewer. Registered from src/lib/offlineCache.js
+// in production builds only.
+//
+// - Data files carry ?nest_cache=<version>; they are served cache-first from a
+//   cache named after that version, and caches for any other version are
+//   dropped as soon as a new one is requested.
+// - The manifest carries ?nest_cache=manifest and is network-first, so a new
+//   export is noticed on the next online visit and the last one still loads
+//   offline.
+// - Thumbnails the user has viewed are cached alongside the current version.
+// - The page and its hashed build assets are cached so the app opens offline.
+const CACHE_PARAM = 'nest_cache'
+const MANIFEST_CACHE = 'nest-manifest'
+const SHELL_CACHE = 'nest-shell'
+const DATA_CACHE_PREFIX = 'nest-data-'
+const THUMBNAIL_CACHE_PREFIX = 'nest-thumbs-'
+const THUMBNAIL_PATTERN = /\.(jpe?g|png|webp)$/i
+
+let currentVersion = null
+
+self.addEventListener('install', () => {
+  self.skipWaiting()
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim())
+})
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request
+  if (request.method !== 'GET') return
+
+  const url = new URL(request.url)
+  if (url.origin !== self.location.origin) return
+
+  const cacheTag = url.searchParams.get(CACHE_PARAM)
+  if (cacheTag === 'manifest') {
+    event.respondWith(networkFirst(request, MANIFEST_CACHE, stripCacheParams(url)))
+  } else if (cacheTag) {
+    event.respondWith(serveVersionedData(request, cacheTag, stripCacheParams(url)))
+  } else if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, SHELL_CACHE, self.registration.scope))
+  } else if (url.pathname.includes('/assets/')) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE, request))
+  } else if (THUMBNAIL_PATTERN.test(url.pathname)) {
+    event.respondWith(serveThumbnail(request))
+  }
+})
+
+async function serveVersionedData(request, version, cacheKey) {
+  await useVersion(version)
+  return cacheFirst(request, `${DATA_CACHE_PREFIX}${version}`, cacheKey)
+}
+
+async function serveThumbnail(request) {
+  const version = await getCurrentVersion()
+  if (!version) return fetch(request)
+  return cacheFirst(request, `${THUMBNAIL_CACHE_PREFIX}${version}`, request.url)
+}
+
+async function useVersion(version) {
+  if (version === currentVersion) return
+  currentVersion = version
+
+  const keep = new Set([`${DATA_CACHE_PREFIX}${version}`, `${THUMBNAIL_CACHE_PREFIX}${version}`])
+  const names = await caches.keys()
+  await Promise.all(
+    names
+      .filter((name) => (name.startsWith(DATA_CACHE_PREFIX) || name.startsWith(THUMBNAIL_CACHE_PREFIX)) && !keep.has(name))
+      .map((name) => caches.delete(name))
+  )
+}
+
+// The worker may have been restarted since the last data request; the one
+// data cache left on disk names the version in use.
+async function getCurrentVersion() {
+  if (currentVersion) return currentVersion
+  const dataCache = (await caches.keys()).find((name) => name.startsWith(DATA_CACHE_PREFIX))
+  currentVersion = dataCache ? dataCache.slice(DATA_CACHE_PREFIX.length) : null
+  return currentVersion
+}
+
+async function cacheFirst(request, cacheName, cacheKey) {
+  const cache = await caches.open(cacheName)
+  const cached = await cache.match(cacheKey)
+  if (cached) return cached
+
+  const response = await fetch(request)
+  if (response.ok) await cache.put(cacheKey, response.clone())
+  return response
+}
+
+async function networkFirst(request, cacheName, cacheKey) {
+  const cache = await caches.open(cacheName)
+  try {
+    const response = await fetch(request)
+    if (response.ok) await cache.put(cacheKey, response.clone())
+    return response
+  } catch (error) {
+    const cached = await cache.match(cacheKey)
+    if (cached) return cached
+    throw error
+  }
+}
+
+function stripCacheParams(url) {
+  const stripped = new URL(url)
+  stripped.searchParams.delete(CACHE_PARAM)
+  stripped.searchParams.delete('v')
+  return stripped.href
+}
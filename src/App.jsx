@@ -1,11 +1,59 @@
 import { startTransition, useDeferredValue, useEffect, useMemo, useRef, useState } from 'react'
+import AnalysisPanel from './components/AnalysisPanel'
+import ColorLegend from './components/ColorLegend'
+import ComparisonViewer from './components/ComparisonViewer'
+import EdgeFilterSection from './components/EdgeFilterSection'
+import ExportDropZone from './components/ExportDropZone'
+import GrainSearch from './components/GrainSearch'
+import GrainTableView from './components/GrainTableView'
 import HypercubeCanvas from './components/HypercubeCanvas'
+import PathExplorerPanel from './components/PathExplorerPanel'
+import SelectionSetPanel from './components/SelectionSetPanel'
+import SpeciesVoteBar from './components/SpeciesVoteBar'
 import { useHypercubeData } from './hooks/useHypercubeData'
+import { readViewStateFromUrl, useUrlViewState } from './hooks/useUrlViewState'
+import {
+  DEFAULT_NODE_FILTERS,
+  NODE_FILTER_MODES,
+  buildNodeFilterMask,
+  countMaskedNodes,
+  hasActiveNodeFilters,
+  isolateListValue,
+  toggleListValue
+} from './lib/nodeFilters'
+import { getNodeNeighbors } from './lib/graphNeighbors'
+import { DEFAULT_EDGE_FILTERS } from './lib/edgeFilters'
+import { COLOR_MODES, buildNodeColoring, computeNodeMetrics } from './lib/colorModes'
+import { detectCommunities } from './lib/communityDetection'
+import { buildFigureLegend } from './lib/figureExport'
+import { buildCommunityLabels, buildSpeciesLabels } from './lib/sceneLabels'
+import { computeQueryConsensus } from './lib/fossilConsensus'
+import { findSimilarityPath } from './lib/graphPaths'
+import { relayoutPackage } from './lib/hypercubePackage'
+import {
+  buildQueryReportHtml,
+  downloadTextFile,
+  formatQueryCsv,
+  formatQueryJson,
+  openHtmlReport
+} from './lib/queryExport'
+import { buildThumbnailUrl, formatPercent, formatSimilarity, prettifySpecies } from './lib/nodeDisplay'
 import resumePdfUrl from '../resume/Ethan_Haines_resume.pdf?url'
 
 const SHOW_UNFINISHED_TABS = false
 const HOVER_PANEL_CLEAR_DELAY_MS = 180
 const EMPTY_QUERIES = []
+const EMPTY_SELECTION_SET = []
+const EMPTY_NEIGHBORS = []
+const EMPTY_SCENE_LABELS = []
+const EMPTY_PATH_ENDPOINTS = { sourceIndex: null, targetIndex: null }
+const OPEN_PANELS = ['query', 'analysis']
+const DEFAULT_LAYOUT_OPTIONS = { displayField: null, shapeMode: null }
+const EMPTY_QUERY_STATE = {
+  selectedQueryNodeId: null,
+  activeQueryNodeId: null,
+  selectedResultNodeId: null
+}
 
 const TABS = [
   { id: 'NEST', label: 'NEST', enabled: true },
@@ -15,13 +63,64 @@ const TABS = [
 ]
 
 export default function App() {
-  const [activeTab, setActiveTab] = useState('NEST')
+  const [activeTab, setActiveTab] = useState(() => resolveTabId(readViewStateFromUrl()?.tab) ?? 'NEST')
   const [hoverState, setHoverState] = useState(null)
   const [panelHoverState, setPanelHoverState] = useState(null)
   const [selectedIndex, setSelectedIndex] = useState(null)
-  const [queryPanelOpen, setQueryPanelOpen] = useState(false)
+  const [selectionSet, setSelectionSet] = useState(EMPTY_SELECTION_SET)
+  // The query and analysis panels share the bottom-left slot: null, 'query' or 'analysis'.
+  const [openPanel, setOpenPanel] = useState(null)
+  const [analysisView, setAnalysisView] = useState(null)
+  const [queryState, setQueryState] = useState(EMPTY_QUERY_STATE)
+  const [nodeFilters, setNodeFilters] = useState(DEFAULT_NODE_FILTERS)
+  const [edgeFilters, setEdgeFilters] = useState(DEFAULT_EDGE_FILTERS)
+  const [colorMode, setColorMode] = useState('species')
+  const [showSceneLabels, setShowSceneLabels] = useState(true)
+  const [pathEndpoints, setPathEndpoints] = useState(EMPTY_PATH_ENDPOINTS)
+  const [layoutOptions, setLayoutOptions] = useState(DEFAULT_LAYOUT_OPTIONS)
+  // { position, target } of the orbit camera, both as [x, y, z].
+  const [cameraView, setCameraView] = useState(null)
+  const [cameraFocus, setCameraFocus] = useState(null)
+  // Without WebGL the table is the only way into the data.
+  const [canRenderGraph] = useState(supportsWebGL)
+  const [sceneView, setSceneView] = useState(canRenderGraph ? 'graph' : 'table')
   const hoverClearTimeoutRef = useRef(null)
-  const { status, data, error, reload } = useHypercubeData()
+  const {
+    status,
+    data: packageData,
+    error,
+    reload,
+    localPackageName,
+    loadLocalPackage,
+    failLocalPackage,
+    clearLocalPackage
+  } = useHypercubeData()
+  // Switching layouts only moves nodes; indices, edges and legends are shared
+  // with the loaded package so selections survive the morph.
+  const data = useMemo(() => relayoutPackage(packageData, layoutOptions), [packageData, layoutOptions])
+  const { pendingViewState, clearPendingViewState } = useUrlViewState(
+    {
+      tab: activeTab,
+      sceneView: canRenderGraph ? sceneView : null,
+      nodeId: data && selectedIndex != null ? data.nodes[selectedIndex]?.id : null,
+      selectionSetIds: data ? selectionSet.map((index) => data.nodes[index]?.id).filter((id) => id != null) : [],
+      openPanel,
+      analysisView,
+      pickedQueryNodeId: queryState.selectedQueryNodeId,
+      activeQueryNodeId: queryState.activeQueryNodeId,
+      selectedResultNodeId: queryState.selectedResultNodeId,
+      filters: nodeFilters,
+      edgeFilters,
+      colorMode,
+      showSceneLabels,
+      pathSourceId: data && pathEndpoints.sourceIndex != null ? data.nodes[pathEndpoints.sourceIndex]?.id : null,
+      pathTargetId: data && pathEndpoints.targetIndex != null ? data.nodes[pathEndpoints.targetIndex]?.id : null,
+      layout: layoutOptions,
+      camera: cameraView,
+      isCameraFocused: cameraFocus != null
+    },
+    { enabled: Boolean(data) }
+  )
 
   const deferredHoverState = useDeferredValue(hoverState)
   const hoveredIndex = hoverState?.index ?? null
@@ -54,6 +153,53 @@ export default function App() {
     }, HOVER_PANEL_CLEAR_DELAY_MS)
   }
 
+  function handleMarqueeSelect(indices, mode) {
+    setSelectionSet((previous) => mergeSelectionSet(previous, indices, mode))
+  }
+
+  function handleToggleSelectionMember(index) {
+    setSelectionSet((previous) =>
+      mergeSelectionSet(previous, [index], previous.includes(index) ? 'remove' : 'add')
+    )
+  }
+
+  // Every user-driven selection also asks the canvas to fly to the grain;
+  // clearing the selection releases the camera back to the overview orbit.
+  function handleSelectIndex(index) {
+    setSelectedIndex(index)
+    setCameraFocus(index == null ? null : { index })
+  }
+
+  function handleOpenQuery(nodeId) {
+    const query = data?.searchResults?.queries?.find((entry) => entry.query.node_id === nodeId)
+    if (!query) return
+    setQueryState({
+      selectedQueryNodeId: nodeId,
+      activeQueryNodeId: nodeId,
+      selectedResultNodeId: query.results[0]?.node_id ?? null
+    })
+    setOpenPanel('query')
+    const index = data.indexById.get(nodeId)
+    if (index != null) handleSelectIndex(index)
+  }
+
+  function togglePanel(panel) {
+    setOpenPanel((previous) => (previous === panel ? null : panel))
+  }
+
+  function handleSetPathEndpoint(role, index) {
+    setPathEndpoints((previous) => ({ ...previous, [role === 'source' ? 'sourceIndex' : 'targetIndex']: index }))
+  }
+
+  useEffect(() => {
+    setSelectionSet(EMPTY_SELECTION_SET)
+    setPathEndpoints(EMPTY_PATH_ENDPOINTS)
+  }, [packageData])
+
+  useEffect(() => {
+    if (cameraFocus && cameraFocus.index !== selectedIndex) setCameraFocus(null)
+  }, [cameraFocus, selectedIndex])
+
   useEffect(() => {
     if (!data) {
       setSelectedIndex(null)
@@ -65,7 +211,89 @@ export default function App() {
     }
   }, [data, selectedIndex])
 
+  useEffect(() => {
+    if (!pendingViewState) return
+
+    const tab = resolveTabId(pendingViewState.tab)
+    if (tab) setActiveTab(tab)
+    if (!data) return
+
+    const resolveIndex = (nodeId) => (nodeId == null ? null : data.indexById.get(nodeId) ?? null)
+
+    const linkedIndex = resolveIndex(pendingViewState.nodeId)
+    setSelectedIndex(linkedIndex)
+    setCameraFocus(pendingViewState.isCameraFocused && linkedIndex != null ? { index: linkedIndex } : null)
+    setSelectionSet(
+      pendingViewState.selectionSetIds.map(resolveIndex).filter((index) => index != null)
+    )
+    setOpenPanel(OPEN_PANELS.includes(pendingViewState.openPanel) ? pendingViewState.openPanel : null)
+    setAnalysisView(pendingViewState.analysisView)
+    setQueryState({
+      selectedQueryNodeId: pendingViewState.pickedQueryNodeId ?? pendingViewState.activeQueryNodeId,
+      activeQueryNodeId: pendingViewState.activeQueryNodeId,
+      selectedResultNodeId: pendingViewState.selectedResultNodeId
+    })
+    setNodeFilters(pendingViewState.filters ?? DEFAULT_NODE_FILTERS)
+    setEdgeFilters(pendingViewState.edgeFilters ?? DEFAULT_EDGE_FILTERS)
+    setColorMode(resolveColorMode(pendingViewState.colorMode))
+    setShowSceneLabels(pendingViewState.showSceneLabels)
+    setPathEndpoints({
+      sourceIndex: resolveIndex(pendingViewState.pathSourceId),
+      targetIndex: resolveIndex(pendingViewState.pathTargetId)
+    })
+    setLayoutOptions(pendingViewState.layout ?? DEFAULT_LAYOUT_OPTIONS)
+    if (canRenderGraph) setSceneView(pendingViewState.sceneView ?? 'graph')
+    if (pendingViewState.camera) setCameraView(pendingViewState.camera)
+    clearPendingViewState()
+  }, [data, pendingViewState])
+
+  const filterMask = useMemo(() => (data ? buildNodeFilterMask(data.nodes, nodeFilters) : null), [data, nodeFilters])
+  // Metrics depend only on the graph, so a layout switch reuses them.
+  const nodeMetrics = useMemo(() => computeNodeMetrics(packageData), [packageData])
+  // Louvain takes a few hundred milliseconds, so it only runs while its
+  // coloring or its analysis view is on screen.
+  const needsCommunities = colorMode === 'community' || (openPanel === 'analysis' && analysisView === 'communities')
+  const communities = useMemo(
+    () => (needsCommunities ? detectCommunities(packageData) : null),
+    [needsCommunities, packageData]
+  )
+  const colorAnchorIndex = colorMode === 'selectedSimilarity' ? selectedIndex : null
+  const nodeColoring = useMemo(
+    () =>
+      buildNodeColoring(data, colorMode, { metrics: nodeMetrics, communities, selectedIndex: colorAnchorIndex }),
+    [colorAnchorIndex, colorMode, communities, data, nodeMetrics]
+  )
+  const figureLegend = useMemo(
+    () =>
+      data
+        ? buildFigureLegend({
+            colorMode,
+            modeLabel: COLOR_MODES.find((mode) => mode.id === colorMode)?.label,
+            colorLegend: nodeColoring.legend,
+            speciesLegend: data.speciesLegend
+          })
+        : null,
+    [colorMode, data, nodeColoring.legend]
+  )
+  // Community coloring swaps the species names for community ids. Hidden
+  // grains neither get a label nor pull a centroid toward themselves.
+  const sceneLabels = useMemo(() => {
+    if (!showSceneLabels || !data) return EMPTY_SCENE_LABELS
+    const visibleMask = nodeFilters.mode === 'hide' ? filterMask : null
+    return colorMode === 'community'
+      ? buildCommunityLabels(communities, visibleMask)
+      : buildSpeciesLabels(data, visibleMask)
+  }, [colorMode, communities, data, filterMask, nodeFilters.mode, showSceneLabels])
+
   const selectedNode = data && selectedIndex != null ? data.nodes[selectedIndex] : null
+  const selectedNeighbors = useMemo(() => {
+    if (!data || selectedIndex == null) return EMPTY_NEIGHBORS
+    return getNodeNeighbors(data, selectedIndex)
+  }, [data, selectedIndex])
+  const similarityPath = useMemo(() => {
+    if (!data) return null
+    return findSimilarityPath(data, pathEndpoints.sourceIndex, pathEndpoints.targetIndex)
+  }, [data, pathEndpoints])
   const hoveredNode = data && panelHoveredIndex != null ? data.nodes[panelHoveredIndex] : null
   const tooltipNode = data && deferredHoverState?.index != null ? data.nodes[deferredHoverState.index] : null
   const panelNode = selectedNode ?? hoveredNode
@@ -110,13 +338,37 @@ export default function App() {
           <>
             <div className="canvas-layer">
               {status === 'ready' && data ? (
-                <HypercubeCanvas
-                  data={data}
-                  hoveredIndex={hoveredIndex}
-                  selectedIndex={selectedIndex}
-                  onHoverChange={handleHoverChange}
-                  onSelectIndex={setSelectedIndex}
-                />
+                sceneView === 'graph' ? (
+                  <HypercubeCanvas
+                    data={data}
+                    hoveredIndex={hoveredIndex}
+                    selectedIndex={selectedIndex}
+                    selectionSet={selectionSet}
+                    filterMask={filterMask}
+                    filterMode={nodeFilters.mode}
+                    edgeFilters={edgeFilters}
+                    nodeColors={nodeColoring.colors}
+                    sceneLabels={sceneLabels}
+                    showSceneLabels={showSceneLabels}
+                    figureLegend={figureLegend}
+                    neighbors={selectedNeighbors}
+                    pathIndices={similarityPath?.indices}
+                    cameraView={cameraView}
+                    focusRequest={cameraFocus}
+                    displayFields={data.displayFields}
+                    displayField={data.displayField}
+                    shapeMode={data.shapeMode}
+                    onLayoutChange={(patch) => setLayoutOptions((previous) => ({ ...previous, ...patch }))}
+                    onCameraChange={setCameraView}
+                    onHoverChange={handleHoverChange}
+                    onSelectIndex={handleSelectIndex}
+                    onResetView={() => setCameraFocus(null)}
+                    onMarqueeSelect={handleMarqueeSelect}
+                    onToggleSelectionMember={handleToggleSelectionMember}
+                    onToggleSceneLabels={() => setShowSceneLabels((previous) => !previous)}
+                    onShowTable={() => setSceneView('table')}
+                  />
+                ) : null
               ) : (
                 <div className="scene-placeholder">
                   <div className="scene-placeholder-inner">
@@ -130,37 +382,121 @@ export default function App() {
                           'Unable to load manifest/nodes/edges/species JSON.'
                         : 'Reading manifest.json and constructing the 3D k-NN network.'}
                     </p>
+                    {status === 'error' && error?.diagnostics?.length ? (
+                      <PackageDiagnostics diagnostics={error.diagnostics} />
+                    ) : null}
                     {status === 'error' ? (
                       <button className="ghost-button" type="button" onClick={reload}>
                         Retry Load
                       </button>
                     ) : null}
+                    {status === 'error' && localPackageName ? (
+                      <button className="ghost-button" type="button" onClick={clearLocalPackage}>
+                        Back To Published Data
+                      </button>
+                    ) : null}
                   </div>
                 </div>
               )}
             </div>
 
             <div className="left-priority-stack">
+              <GrainSearch data={data} onPickIndex={handleSelectIndex} />
               <ProjectAbstractPanel />
+              <SelectionSetPanel
+                data={data}
+                indices={selectionSet}
+                selectedIndex={selectedIndex}
+                onSelectIndex={handleSelectIndex}
+                onAddIndex={(index) => handleMarqueeSelect([index], 'add')}
+                onRemoveIndex={(index) => handleMarqueeSelect([index], 'remove')}
+                onClear={() => setSelectionSet(EMPTY_SELECTION_SET)}
+              />
+              <PathExplorerPanel
+                data={data}
+                path={similarityPath}
+                sourceIndex={pathEndpoints.sourceIndex}
+                targetIndex={pathEndpoints.targetIndex}
+                selectedIndex={selectedIndex}
+                onSelectIndex={handleSelectIndex}
+                onSetEndpoint={handleSetPathEndpoint}
+                onSwap={() =>
+                  setPathEndpoints((previous) => ({
+                    sourceIndex: previous.targetIndex,
+                    targetIndex: previous.sourceIndex
+                  }))
+                }
+                onClear={() => setPathEndpoints(EMPTY_PATH_ENDPOINTS)}
+              />
             </div>
 
-            {data ? <DataBadge data={data} /> : null}
+            {status === 'ready' && data && sceneView === 'table' ? (
+              <GrainTableView
+                data={data}
+                filterMask={filterMask}
+                selectedIndex={selectedIndex}
+                onSelectIndex={handleSelectIndex}
+                canShowGraph={canRenderGraph}
+                onShowGraph={() => setSceneView('graph')}
+              />
+            ) : null}
+
+            {data ? <DataBadge data={data} visibleCount={countMaskedNodes(filterMask)} /> : null}
+            {localPackageName ? <LocalPackageBanner name={localPackageName} onClose={clearLocalPackage} /> : null}
+            <ExportDropZone onDropFiles={loadLocalPackage} onDropError={failLocalPackage} />
+
+            {openPanel !== 'query' ? (
+              <AnalysisPanel
+                data={data}
+                isOpen={openPanel === 'analysis'}
+                view={analysisView}
+                activeQueryNodeId={queryState.activeQueryNodeId}
+                communities={communities}
+                isColoringByCommunity={colorMode === 'community'}
+                onToggle={() => togglePanel('analysis')}
+                onViewChange={setAnalysisView}
+                onSelectIndices={setSelectionSet}
+                onOpenQuery={handleOpenQuery}
+                onToggleCommunityColoring={() =>
+                  setColorMode((previous) => (previous === 'community' ? 'species' : 'community'))
+                }
+              />
+            ) : null}
 
             <QueryPanel
               data={data}
-              isOpen={queryPanelOpen}
-              onToggle={() => setQueryPanelOpen((value) => !value)}
-              onSelectIndex={setSelectedIndex}
+              isOpen={openPanel === 'query'}
+              isHidden={openPanel === 'analysis'}
+              onToggle={() => togglePanel('query')}
+              onSelectIndex={handleSelectIndex}
+              queryState={queryState}
+              onQueryStateChange={setQueryState}
             />
 
             <BottomDetailPanel
               node={panelNode}
               data={data}
               selectedNode={selectedNode}
+              neighbors={selectedNeighbors}
+              onSelectIndex={handleSelectIndex}
+              onSetPathEndpoint={handleSetPathEndpoint}
               isBottomRight={Boolean(panelNode)}
             />
 
-            {data ? <SpeciesRail speciesLegend={data.speciesLegend} /> : null}
+            {data ? (
+              <SpeciesRail
+                speciesLegend={data.speciesLegend}
+                cropSizeLegend={data.cropSizeLegend}
+                groupLegend={data.groupLegend}
+                filters={nodeFilters}
+                onFiltersChange={setNodeFilters}
+                colorMode={colorMode}
+                colorLegend={nodeColoring.legend}
+                onColorModeChange={setColorMode}
+              >
+                <EdgeFilterSection edges={data.edges} filters={edgeFilters} onFiltersChange={setEdgeFilters} />
+              </SpeciesRail>
+            ) : null}
 
             {deferredHoverState && tooltipNode ? (
               <Tooltip hoverState={deferredHoverState} node={tooltipNode} />
@@ -176,6 +512,35 @@ export default function App() {
   )
 }
 
+function supportsWebGL() {
+  if (typeof document === 'undefined') return true
+  try {
+    const canvas = document.createElement('canvas')
+    return Boolean(canvas.getContext('webgl2') ?? canvas.getContext('webgl'))
+  } catch {
+    return false
+  }
+}
+
+function resolveTabId(value) {
+  return TABS.find((tab) => tab.enabled && tab.id === value)?.id ?? null
+}
+
+function resolveColorMode(value) {
+  return COLOR_MODES.find((mode) => mode.id === value)?.id ?? 'species'
+}
+
+function mergeSelectionSet(current, indices, mode) {
+  if (mode === 'remove') {
+    const removed = new Set(indices)
+    return current.filter((index) => !removed.has(index))
+  }
+
+  const seen = new Set(current)
+  const added = indices.filter((index) => !seen.has(index))
+  return added.length ? [...current, ...added] : current
+}
+
 function ResumeView() {
   const resumeViewerUrl = `${resumePdfUrl}#zoom=100&pagemode=none&navpanes=0`
 
@@ -209,40 +574,240 @@ function ResumeView() {
   )
 }
 
-function DataBadge({ data }) {
+function DataBadge({ data, visibleCount }) {
   return (
     <section className="data-badge" aria-label="Dataset summary">
       <span>{data.manifest?.counts?.nodes ?? data.nodes.length} nodes</span>
+      {visibleCount != null ? <span>{visibleCount} shown</span> : null}
       <span>{data.displaySpeciesCount ?? data.manifest?.counts?.species ?? data.species.length} groups</span>
+      {data.diagnostics?.length ? (
+        <span
+          className="data-badge-warning"
+          title={data.diagnostics.map((entry) => `${entry.file}: ${entry.message}`).join('\n')}
+        >
+          {data.diagnostics.length} {data.diagnostics.length === 1 ? 'warning' : 'warnings'}
+        </span>
+      ) : null}
+    </section>
+  )
+}
+
+function LocalPackageBanner({ name, onClose }) {
+  return (
+    <section className="local-package-banner" aria-label="Local export preview">
+      <span className="mono-label">Local Preview</span>
+      <span className="local-package-name">{name}</span>
+      <button type="button" className="rail-action" onClick={onClose}>
+        Back To Published
+      </button>
     </section>
   )
 }
 
-function SpeciesRail({ speciesLegend }) {
+function PackageDiagnostics({ diagnostics }) {
+  // Errors first; they are the reason the load stopped.
+  const ordered = [...diagnostics].sort(
+    (a, b) => Number(b.severity === 'error') - Number(a.severity === 'error')
+  )
+
+  return (
+    <ul className="package-diagnostics" aria-label="Export package diagnostics">
+      {ordered.map((entry, index) => (
+        <li key={index} className={`package-diagnostic is-${entry.severity}`}>
+          <span className="package-diagnostic-meta">
+            {entry.severity} | {entry.file}
+          </span>
+          <span>{entry.message}</span>
+          {entry.examples.length ? (
+            <span className="package-diagnostic-examples">e.g. {entry.examples.join(', ')}</span>
+          ) : null}
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+function SpeciesRail({
+  speciesLegend,
+  cropSizeLegend = [],
+  groupLegend = [],
+  filters,
+  onFiltersChange,
+  colorMode = 'species',
+  colorLegend = null,
+  onColorModeChange,
+  children
+}) {
+  const allSpecies = speciesLegend.map((entry) => entry.species)
+  const allCropSizes = cropSizeLegend.map((entry) => entry.cropSize)
+  const allGroups = groupLegend.map((entry) => entry.group)
+
+  function updateFilters(patch) {
+    onFiltersChange((previous) => ({ ...previous, ...patch }))
+  }
+
+  function handleCropSizeClick(event, cropSize) {
+    updateFilters({
+      excludedCropSizes: event.shiftKey
+        ? isolateListValue(allCropSizes, cropSize)
+        : toggleListValue(filters.excludedCropSizes, cropSize)
+    })
+  }
+
+  function handleGroupClick(event, group) {
+    updateFilters({
+      excludedGroups: event.shiftKey
+        ? isolateListValue(allGroups, group)
+        : toggleListValue(filters.excludedGroups, group)
+    })
+  }
+
   return (
-    <aside className="floating-panel species-rail" aria-label="Species legend">
-      <div className="mono-label rail-title">Species</div>
-      <div className="species-list">
-        {speciesLegend.map((entry) => (
-          <div
-            key={entry.species}
-            className={`species-row${entry.isFossilPollen ? ' is-fossil-pollen' : ''}`}
+    <aside className="floating-panel species-rail" aria-label="Species legend and filters">
+      <div className="color-mode-row">
+        <label className="mono-label" htmlFor="species-rail-color-mode">
+          Color By
+        </label>
+        <select
+          id="species-rail-color-mode"
+          className="canvas-tool-select"
+          value={colorMode}
+          onChange={(event) => onColorModeChange(event.target.value)}
+        >
+          {COLOR_MODES.map((mode) => (
+            <option key={mode.id} value={mode.id}>
+              {mode.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="rail-header">
+        <div className="mono-label rail-title">
+          {colorMode === 'species' ? 'Species' : COLOR_MODES.find((mode) => mode.id === colorMode)?.label}
+        </div>
+        <div className="rail-actions">
+          {NODE_FILTER_MODES.map((mode) => (
+            <button
+              key={mode.id}
+              type="button"
+              className={`rail-action${filters.mode === mode.id ? ' is-active' : ''}`}
+              aria-pressed={filters.mode === mode.id}
+              onClick={() => updateFilters({ mode: mode.id })}
+            >
+              {mode.label}
+            </button>
+          ))}
+          <button
+            type="button"
+            className="rail-action"
+            disabled={!hasActiveNodeFilters(filters)}
+            onClick={() => updateFilters({ excludedSpecies: [], excludedCropSizes: [], excludedGroups: [] })}
           >
-            <span
-              className={`species-dot${entry.isFossilPollen ? ' is-fossil-pollen' : ''}`}
-              style={{ backgroundColor: entry.color?.hex ?? '#111111' }}
-              aria-hidden="true"
-            />
-            <span className="species-name">{entry.label}</span>
-            <span className="species-count">{entry.count}</span>
-          </div>
-        ))}
+            Show All
+          </button>
+        </div>
       </div>
+
+      {colorLegend ? (
+        <ColorLegend legend={colorLegend} />
+      ) : (
+        <div className="species-list">
+          {speciesLegend.map((entry) => {
+            const isExcluded = filters.excludedSpecies.includes(entry.species)
+            const fossilClassName = entry.isFossilPollen ? ' is-fossil-pollen' : ''
+            return (
+              <div key={entry.species} className={`species-row${fossilClassName}${isExcluded ? ' is-excluded' : ''}`}>
+                <button
+                  type="button"
+                  className="species-toggle"
+                  aria-pressed={!isExcluded}
+                  onClick={() =>
+                    updateFilters({ excludedSpecies: toggleListValue(filters.excludedSpecies, entry.species) })
+                  }
+                >
+                  <span
+                    className={`species-dot${entry.isFossilPollen ? ' is-fossil-pollen' : ''}`}
+                    style={{ backgroundColor: entry.color?.hex ?? '#111111' }}
+                    aria-hidden="true"
+                  />
+                  <span className="species-name">{entry.label}</span>
+                  <span className="species-count">{entry.count}</span>
+                </button>
+                <button
+                  type="button"
+                  className="species-isolate"
+                  aria-label={`Isolate ${entry.label}`}
+                  onClick={() => updateFilters({ excludedSpecies: isolateListValue(allSpecies, entry.species) })}
+                >
+                  Only
+                </button>
+              </div>
+            )
+          })}
+        </div>
+      )}
+
+      {groupLegend.length > 1 ? (
+        <div className="rail-section">
+          <div className="mono-label rail-title">Group</div>
+          <div className="facet-chip-list" title="Shift-click to isolate a group">
+            {groupLegend.map((entry) => {
+              const isExcluded = filters.excludedGroups.includes(entry.group)
+              return (
+                <button
+                  key={entry.group}
+                  type="button"
+                  className={`facet-chip${isExcluded ? ' is-excluded' : ''}`}
+                  aria-pressed={!isExcluded}
+                  onClick={(event) => handleGroupClick(event, entry.group)}
+                >
+                  <span>{entry.label}</span>
+                  <span className="species-count">{entry.count}</span>
+                </button>
+              )
+            })}
+          </div>
+        </div>
+      ) : null}
+
+      {cropSizeLegend.length ? (
+        <div className="rail-section">
+          <div className="mono-label rail-title">Crop Size</div>
+          <div className="facet-chip-list" title="Shift-click to isolate a crop size">
+            {cropSizeLegend.map((entry) => {
+              const isExcluded = filters.excludedCropSizes.includes(entry.cropSize)
+              return (
+                <button
+                  key={entry.cropSize}
+                  type="button"
+                  className={`facet-chip${isExcluded ? ' is-excluded' : ''}`}
+                  aria-pressed={!isExcluded}
+                  onClick={(event) => handleCropSizeClick(event, entry.cropSize)}
+                >
+                  <span>{entry.cropSize}</span>
+                  <span className="species-count">{entry.count}</span>
+                </button>
+              )
+            })}
+          </div>
+        </div>
+      ) : null}
+
+      {children}
     </aside>
   )
 }
 
-function BottomDetailPanel({ node, data, selectedNode, isBottomRight = false }) {
+function BottomDetailPanel({
+  node,
+  data,
+  selectedNode,
+  neighbors = EMPTY_NEIGHBORS,
+  onSelectIndex,
+  onSetPathEndpoint,
+  isBottomRight = false
+}) {
   if (!data || !node) return null
   const thumbnailUrl = selectedNode ? buildThumbnailUrl(selectedNode) : null
   const panelClassName = `floating-panel bottom-panel${isBottomRight ? ' is-bottom-right' : ''}`
@@ -268,15 +833,87 @@ function BottomDetailPanel({ node, data, selectedNode, isBottomRight = false })
           <span className="detail-value">{node.id}</span>
         </div>
       </div>
+
+      {selectedNode && onSetPathEndpoint ? (
+        <div className="detail-actions">
+          <button
+            className="rail-action"
+            type="button"
+            onClick={() => onSetPathEndpoint('source', data.indexById.get(selectedNode.id))}
+          >
+            Path From Here
+          </button>
+          <button
+            className="rail-action"
+            type="button"
+            onClick={() => onSetPathEndpoint('target', data.indexById.get(selectedNode.id))}
+          >
+            Path To Here
+          </button>
+        </div>
+      ) : null}
+
+      {selectedNode && neighbors.length ? (
+        <NeighborTable neighbors={neighbors} onSelectIndex={onSelectIndex} />
+      ) : null}
     </section>
   )
 }
 
-function QueryPanel({ data, isOpen, onToggle, onSelectIndex }) {
+function NeighborTable({ neighbors, onSelectIndex }) {
+  return (
+    <div className="neighbor-block">
+      <div className="query-results-header">
+        <div className="mono-label">Graph Neighbors</div>
+        <div className="query-preview-meta">
+          {neighbors.length} linked grains | click to walk the graph
+        </div>
+      </div>
+
+      <div className="neighbor-table" role="list" aria-label="Graph neighbors">
+        {neighbors.map((neighbor) => (
+          <button
+            key={neighbor.node?.id ?? neighbor.index}
+            type="button"
+            role="listitem"
+            className={`neighbor-row${neighbor.rankHint === 1 ? ' is-top-rank' : ''}`}
+            onClick={() => onSelectIndex(neighbor.index)}
+          >
+            <span className="neighbor-thumb-slot">
+              <ThumbnailPreview
+                src={buildThumbnailUrl(neighbor.node)}
+                alt={`${neighbor.node?.filename} thumbnail`}
+                className="neighbor-thumb"
+              />
+            </span>
+            <span className="leaderboard-main">
+              <span className="leaderboard-species">
+                {prettifySpecies(neighbor.node?.displaySpecies ?? neighbor.node?.species)}
+              </span>
+              <span className="leaderboard-file">{neighbor.node?.filename}</span>
+            </span>
+            <span className="neighbor-meta">
+              <span className="leaderboard-score">{formatSimilarity(neighbor.similarity)}</span>
+              <span className="neighbor-rank">
+                {neighbor.rankHint != null ? `#${neighbor.rankHint}` : ''}
+                {neighbor.edgeKind !== 'knn' ? ' bridge' : ''}
+              </span>
+            </span>
+          </button>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+function QueryPanel({ data, isOpen, isHidden = false, onToggle, onSelectIndex, queryState, onQueryStateChange }) {
   const queries = data?.searchResults?.queries ?? EMPTY_QUERIES
-  const [selectedQueryNodeId, setSelectedQueryNodeId] = useState(null)
-  const [activeQueryNodeId, setActiveQueryNodeId] = useState(null)
-  const [selectedResultNodeId, setSelectedResultNodeId] = useState(null)
+  const { selectedQueryNodeId, activeQueryNodeId, selectedResultNodeId } = queryState
+  const [isComparing, setIsComparing] = useState(false)
+
+  function updateQueryState(patch) {
+    onQueryStateChange((previous) => ({ ...previous, ...patch }))
+  }
 
   const selectedQuery = useMemo(() => {
     return queries.find((query) => query.query.node_id === selectedQueryNodeId) ?? queries[0] ?? null
@@ -286,6 +923,11 @@ function QueryPanel({ data, isOpen, onToggle, onSelectIndex }) {
     return queries.find((query) => query.query.node_id === activeQueryNodeId) ?? null
   }, [queries, activeQueryNodeId])
 
+  const activeConsensus = useMemo(
+    () => (activeQuery ? computeQueryConsensus(activeQuery, data?.speciesLegend) : null),
+    [activeQuery, data]
+  )
+
   const selectedResult = useMemo(() => {
     if (!activeQuery) return null
     return (
@@ -297,22 +939,25 @@ function QueryPanel({ data, isOpen, onToggle, onSelectIndex }) {
 
   useEffect(() => {
     if (!queries.length) {
-      setSelectedQueryNodeId(null)
-      setActiveQueryNodeId(null)
-      setSelectedResultNodeId(null)
+      if (selectedQueryNodeId != null || activeQueryNodeId != null || selectedResultNodeId != null) {
+        onQueryStateChange(EMPTY_QUERY_STATE)
+      }
       return
     }
 
     if (!queries.some((query) => query.query.node_id === selectedQueryNodeId)) {
-      setSelectedQueryNodeId(queries[0].query.node_id)
+      updateQueryState({ selectedQueryNodeId: queries[0].query.node_id })
     }
 
     if (activeQueryNodeId != null && !queries.some((query) => query.query.node_id === activeQueryNodeId)) {
-      setActiveQueryNodeId(null)
-      setSelectedResultNodeId(null)
+      updateQueryState({ activeQueryNodeId: null, selectedResultNodeId: null })
     }
   }, [activeQueryNodeId, queries, selectedQueryNodeId])
 
+  useEffect(() => {
+    if (!activeQuery || !isOpen || isHidden) setIsComparing(false)
+  }, [activeQuery, isHidden, isOpen])
+
   function selectGraphNode(nodeId) {
     if (nodeId == null || !data?.indexById) return
     const index = data.indexById.get(nodeId)
@@ -321,23 +966,26 @@ function QueryPanel({ data, isOpen, onToggle, onSelectIndex }) {
 
   function handleSelectQuery(query) {
     const nodeId = query.query.node_id
-    setSelectedQueryNodeId(nodeId)
-    setSelectedResultNodeId(null)
+    updateQueryState({ selectedQueryNodeId: nodeId, selectedResultNodeId: null })
     selectGraphNode(nodeId)
   }
 
   function handleRunQuery() {
     if (!selectedQuery) return
-    setActiveQueryNodeId(selectedQuery.query.node_id)
-    setSelectedResultNodeId(selectedQuery.results[0]?.node_id ?? null)
+    updateQueryState({
+      activeQueryNodeId: selectedQuery.query.node_id,
+      selectedResultNodeId: selectedQuery.results[0]?.node_id ?? null
+    })
     selectGraphNode(selectedQuery.query.node_id)
   }
 
   function handleSelectResult(result) {
-    setSelectedResultNodeId(result.node_id)
+    updateQueryState({ selectedResultNodeId: result.node_id })
     selectGraphNode(result.node_id)
   }
 
+  if (isHidden) return null
+
   return (
     <section className={`floating-panel query-panel${isOpen ? ' is-open' : ''}`} aria-label="Query panel">
       {!isOpen ? (
@@ -403,12 +1051,33 @@ function QueryPanel({ data, isOpen, onToggle, onSelectIndex }) {
                 </div>
               ) : null}
 
+              <QueryExportBar data={data} queries={queries} activeQuery={activeQuery} />
+
               {activeQuery ? (
                 <div className="query-results">
                   <div className="query-comparison">
                     <ComparisonCard label="Query Fossil" item={activeQuery.query} />
                     <ComparisonCard label="Selected Match" item={selectedResult} />
                   </div>
+                  <button
+                    className="ghost-button query-compare-button"
+                    type="button"
+                    disabled={!selectedResult}
+                    onClick={() => setIsComparing(true)}
+                  >
+                    Compare Full Size
+                  </button>
+                  {isComparing ? (
+                    <ComparisonViewer
+                      query={activeQuery.query}
+                      results={activeQuery.results}
+                      selectedResult={selectedResult}
+                      onSelectResult={handleSelectResult}
+                      onClose={() => setIsComparing(false)}
+                    />
+                  ) : null}
+
+                  <ConsensusSummary consensus={activeConsensus} />
 
                   <div className="query-results-header">
                     <div className="mono-label">Similarity Leaderboard</div>
@@ -452,6 +1121,92 @@ function QueryPanel({ data, isOpen, onToggle, onSelectIndex }) {
   )
 }
 
+function QueryExportBar({ data, queries, activeQuery }) {
+  const [reportBlocked, setReportBlocked] = useState(false)
+
+  function exportQueries(scope, format) {
+    const selected = scope === 'active' ? [activeQuery] : queries
+    const stem = scope === 'active' ? `nest-query-${activeQuery.query.node_id}` : 'nest-queries'
+
+    if (format === 'csv') {
+      downloadTextFile(`${stem}.csv`, formatQueryCsv(selected), 'text/csv')
+    } else if (format === 'json') {
+      downloadTextFile(
+        `${stem}.json`,
+        formatQueryJson(selected, { searchResults: data.searchResults, speciesLegend: data.speciesLegend }),
+        'application/json'
+      )
+    } else {
+      const html = buildQueryReportHtml(selected, {
+        speciesLegend: data.speciesLegend,
+        baseUrl: window.location.href,
+        title: scope === 'active' ? `NEST fossil query | node ${activeQuery.query.node_id}` : undefined
+      })
+      setReportBlocked(!openHtmlReport(html))
+    }
+  }
+
+  return (
+    <div className="query-export" aria-label="Export query results">
+      {[
+        { scope: 'active', label: 'Active', disabled: !activeQuery },
+        { scope: 'all', label: `All ${queries.length}`, disabled: false }
+      ].map(({ scope, label, disabled }) => (
+        <div key={scope} className="query-export-group">
+          <span className="mono-label">{label}</span>
+          {['csv', 'json', 'report'].map((format) => (
+            <button
+              key={format}
+              type="button"
+              className="rail-action"
+              disabled={disabled}
+              onClick={() => exportQueries(scope, format)}
+            >
+              {format === 'report' ? 'Report' : format.toUpperCase()}
+            </button>
+          ))}
+        </div>
+      ))}
+      {reportBlocked ? (
+        <div className="query-preview-meta">The report window was blocked; allow pop-ups for this site.</div>
+      ) : null}
+    </div>
+  )
+}
+
+function ConsensusSummary({ consensus }) {
+  if (!consensus?.predicted) return null
+
+  return (
+    <div className="query-consensus">
+      <div className="query-results-header">
+        <div className="mono-label">Consensus</div>
+        <div className="query-preview-meta">Similarity-weighted vote over the top {consensus.resultCount}</div>
+      </div>
+      <div className="query-consensus-verdict">
+        <span className="species-stats-name">
+          <span className="species-dot" style={{ backgroundColor: consensus.predicted.color }} aria-hidden="true" />
+          {consensus.predicted.label}
+        </span>
+        <span className="leaderboard-score">
+          {formatPercent(consensus.confidence)} | margin {formatPercent(consensus.margin)}
+        </span>
+      </div>
+      <SpeciesVoteBar votes={consensus.votes} className="is-wide" />
+      <ol className="query-consensus-votes">
+        {consensus.votes.map((vote) => (
+          <li key={vote.species}>
+            <span>{vote.label}</span>
+            <span>
+              {vote.count} | {formatPercent(vote.share)}
+            </span>
+          </li>
+        ))}
+      </ol>
+    </div>
+  )
+}
+
 function ComparisonCard({ label, item }) {
   return (
     <div className="comparison-card">
@@ -480,11 +1235,6 @@ function ComparisonCard({ label, item }) {
   )
 }
 
-function formatSimilarity(value) {
-  if (!Number.isFinite(value)) return 'n/a'
-  return value.toFixed(3)
-}
-
 function ProjectAbstractPanel() {
   return (
     <aside className="floating-panel abstract-panel" aria-label="Project abstract">
@@ -560,36 +1310,3 @@ function ProjectPlaceholder({ activeTab }) {
     </section>
   )
 }
-
-function prettifySpecies(value) {
-  if (value === 'fossil_pollen') return 'Fossil pollen'
-
-  const normalized = String(value ?? '')
-    .replace(/_/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim()
-
-  if (!normalized) return ''
-
-  const parts = normalized.toLowerCase().split(' ')
-  if (parts.length >= 2 && parts.every((part) => /^[a-z-]+$/.test(part))) {
-    return [capitalizeWord(parts[0]), ...parts.slice(1)].join(' ')
-  }
-
-  return normalized.replace(/\b\w/g, (match) => match.toUpperCase())
-}
-
-function capitalizeWord(value) {
-  return value ? value.charAt(0).toUpperCase() + value.slice(1) : ''
-}
-
-function buildThumbnailUrl(node) {
-  const species = String(node?.species ?? '').trim()
-  const cropSize = String(node?.crop_size ?? '').trim()
-  const filename = String(node?.filename ?? '').trim()
-
-  if (!species || !cropSize || !filename) return null
-
-  const base = String(import.meta.env.BASE_URL ?? '/').replace(/\/+$/, '')
-  return `${base}/${encodeURIComponent(species)}/${encodeURIComponent(cropSize)}/${encodeURIComponent(filename)}`
-}
@@ -0,0 +1,86 @@
+import ClassificationView from './ClassificationView'
+import CommunityView from './CommunityView'
+import FossilConsensusView from './FossilConsensusView'
+import SpeciesStatsView from './SpeciesStatsView'
+
+export const ANALYSIS_VIEWS = [
+  { id: 'species', label: 'Species Stats' },
+  { id: 'consensus', label: 'Fossil Consensus' },
+  { id: 'classifier', label: 'kNN Classifier' },
+  { id: 'communities', label: 'Communities' }
+]
+
+// Shares the bottom-left slot with the query panel; App keeps only one of
+// the two open at a time.
+export default function AnalysisPanel({
+  data,
+  isOpen,
+  view,
+  activeQueryNodeId,
+  communities,
+  isColoringByCommunity,
+  onToggle,
+  onViewChange,
+  onSelectIndices,
+  onOpenQuery,
+  onToggleCommunityColoring
+}) {
+  if (!data) return null
+
+  const activeView = ANALYSIS_VIEWS.find((entry) => entry.id === view) ?? ANALYSIS_VIEWS[0]
+
+  return (
+    <section className={`floating-panel analysis-panel${isOpen ? ' is-open' : ''}`} aria-label="Analysis panel">
+      {!isOpen ? (
+        <button className="query-toggle" type="button" onClick={onToggle}>
+          Analysis
+        </button>
+      ) : (
+        <>
+          <div className="query-header">
+            <div>
+              <div className="mono-label">Analysis</div>
+              <div className="query-subtitle">
+                {data.nodes.length} grains | {data.speciesLegend.length} groups
+              </div>
+            </div>
+            <button className="query-close" type="button" onClick={onToggle}>
+              Close
+            </button>
+          </div>
+
+          {ANALYSIS_VIEWS.length > 1 ? (
+            <div className="analysis-tabs" role="tablist" aria-label="Analysis views">
+              {ANALYSIS_VIEWS.map((entry) => (
+                <button
+                  key={entry.id}
+                  type="button"
+                  role="tab"
+                  aria-selected={entry.id === activeView.id}
+                  className={`rail-action${entry.id === activeView.id ? ' is-active' : ''}`}
+                  onClick={() => onViewChange(entry.id)}
+                >
+                  {entry.label}
+                </button>
+              ))}
+            </div>
+          ) : null}
+
+          {activeView.id === 'species' ? <SpeciesStatsView data={data} /> : null}
+          {activeView.id === 'consensus' ? (
+            <FossilConsensusView data={data} activeQueryNodeId={activeQueryNodeId} onOpenQuery={onOpenQuery} />
+          ) : null}
+          {activeView.id === 'classifier' ? <ClassificationView data={data} onSelectIndices={onSelectIndices} /> : null}
+          {activeView.id === 'communities' ? (
+            <CommunityView
+              communities={communities}
+              isColoringScene={isColoringByCommunity}
+              onColorScene={onToggleCommunityColoring}
+              onSelectIndices={onSelectIndices}
+            />
+          ) : null}
+        </>
+      )}
+    </section>
+  )
+}
@@ -0,0 +1,119 @@
+import { useMemo, useState } from 'react'
+import { classifyLeaveOneOut } from '../lib/knnClassifier'
+import { formatPercent } from '../lib/nodeDisplay'
+
+export default function ClassificationView({ data, onSelectIndices }) {
+  const [weighted, setWeighted] = useState(false)
+  const [activeCell, setActiveCell] = useState(null)
+  const result = useMemo(() => classifyLeaveOneOut(data, { weighted }), [data, weighted])
+
+  if (!result?.labels.length) {
+    return <div className="query-empty-state">No labelled grains to classify.</div>
+  }
+
+  function handleSelectCell(actual, predicted) {
+    const indices = result.cellIndices[actual][predicted]
+    if (!indices.length) return
+    setActiveCell(`${actual}:${predicted}`)
+    onSelectIndices(indices)
+  }
+
+  return (
+    <div className="classification-view">
+      <div className="classification-summary">
+        <div className="query-subtitle">
+          Leave-one-out vote over each grain&apos;s exported kNN neighbors (fossils abstain). Accuracy{' '}
+          {formatPercent(result.accuracy)} over {result.classifiedCount} grains
+          {result.unassigned.length ? `, ${result.unassigned.length} without labelled neighbors` : ''}.
+        </div>
+        <div className="rail-actions">
+          <button
+            type="button"
+            className={`rail-action${!weighted ? ' is-active' : ''}`}
+            aria-pressed={!weighted}
+            onClick={() => setWeighted(false)}
+          >
+            Majority
+          </button>
+          <button
+            type="button"
+            className={`rail-action${weighted ? ' is-active' : ''}`}
+            aria-pressed={weighted}
+            onClick={() => setWeighted(true)}
+          >
+            Similarity Weighted
+          </button>
+        </div>
+      </div>
+
+      <div className="confusion-scroll">
+        <table className="confusion-matrix">
+          <caption className="query-subtitle">
+            Rows: true species. Columns: predicted. Click a cell to select its grains.
+          </caption>
+          <thead>
+            <tr>
+              <th scope="col">True \ Pred</th>
+              {result.labels.map((entry) => (
+                <th key={entry.species} scope="col" title={entry.label}>
+                  {abbreviateSpecies(entry.label)}
+                </th>
+              ))}
+              <th scope="col">Recall</th>
+            </tr>
+          </thead>
+          <tbody>
+            {result.labels.map((rowEntry, actual) => (
+              <tr key={rowEntry.species}>
+                <th scope="row" title={rowEntry.label}>
+                  <span className="species-stats-name">
+                    <span className="species-dot" style={{ backgroundColor: rowEntry.color }} aria-hidden="true" />
+                    {rowEntry.label}
+                  </span>
+                </th>
+                {result.matrix[actual].map((count, predicted) => {
+                  const share = rowEntry.support ? count / rowEntry.support : 0
+                  const isDiagonal = actual === predicted
+                  const cellKey = `${actual}:${predicted}`
+                  return (
+                    <td key={cellKey}>
+                      {count ? (
+                        <button
+                          type="button"
+                          className={`confusion-cell${isDiagonal ? ' is-diagonal' : ''}${activeCell === cellKey ? ' is-active' : ''}`}
+                          style={{ '--cell-share': share.toFixed(3) }}
+                          title={`${count} ${rowEntry.label} predicted as ${result.labels[predicted].label}`}
+                          onClick={() => handleSelectCell(actual, predicted)}
+                        >
+                          {count}
+                        </button>
+                      ) : (
+                        <span className="confusion-empty">·</span>
+                      )}
+                    </td>
+                  )
+                })}
+                <td>{formatPercent(rowEntry.recall)}</td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr>
+              <th scope="row">Precision</th>
+              {result.labels.map((entry) => (
+                <td key={entry.species}>{formatPercent(entry.precision)}</td>
+              ))}
+              <td />
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+    </div>
+  )
+}
+
+// "Alfaroa williamsii" -> "A. wil"; keeps 15 columns narrow enough to read.
+function abbreviateSpecies(label) {
+  const [genus = '', epithet = ''] = String(label).split(' ')
+  return epithet ? `${genus.charAt(0)}. ${epithet.slice(0, 3)}` : genus.slice(0, 5)
+}
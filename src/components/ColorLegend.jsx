@@ -0,0 +1,59 @@
+import { CONTINUOUS_RAMP, MISSING_VALUE_COLOR, formatColorValue } from '../lib/colorModes'
+
+const MISSING_LABELS = {
+  crop: 'no crop size',
+  degree: 'no edges',
+  purity: 'fossil or no labelled neighbors',
+  meanSimilarity: 'no edges',
+  selectedSimilarity: 'not linked to selection'
+}
+
+// Stand-in for the species list when the scene is colored by something else.
+export default function ColorLegend({ legend }) {
+  if (!legend) return null
+
+  const missingNote = legend.missingCount ? (
+    <div className="color-legend-missing">
+      <span className="color-legend-swatch" style={{ backgroundColor: MISSING_VALUE_COLOR }} aria-hidden="true" />
+      <span>
+        {legend.missingCount} {MISSING_LABELS[legend.mode] ?? 'no value'}
+      </span>
+    </div>
+  ) : null
+
+  if (legend.scale === 'categorical') {
+    return (
+      <div className="color-legend">
+        <div className="facet-chip-list">
+          {legend.entries.map((entry) => (
+            <span key={entry.key} className="facet-chip color-legend-chip">
+              <span className="color-legend-swatch" style={{ backgroundColor: entry.color }} aria-hidden="true" />
+              <span>{entry.label}</span>
+              <span className="species-count">{entry.count}</span>
+            </span>
+          ))}
+        </div>
+        {missingNote}
+      </div>
+    )
+  }
+
+  if (legend.needsSelection) {
+    return <div className="query-empty-state">Select a grain to color the map by similarity to it.</div>
+  }
+
+  return (
+    <div className="color-legend">
+      <div
+        className="color-legend-ramp"
+        style={{ backgroundImage: `linear-gradient(90deg, ${CONTINUOUS_RAMP.join(', ')})` }}
+        aria-hidden="true"
+      />
+      <div className="color-legend-range">
+        <span>{formatColorValue(legend.mode, legend.min)}</span>
+        <span>{formatColorValue(legend.mode, legend.max)}</span>
+      </div>
+      {missingNote}
+    </div>
+  )
+}
@@ -0,0 +1,138 @@
+import { useMemo, useState } from 'react'
+import { findSplitSpecies } from '../lib/communityDetection'
+import { formatPercent } from '../lib/nodeDisplay'
+import SpeciesVoteBar from './SpeciesVoteBar'
+
+const COMMUNITY_COLUMNS = [
+  { key: 'id', label: 'Community', getValue: (entry) => entry.id },
+  { key: 'size', label: 'Size', getValue: (entry) => entry.size },
+  { key: 'dominant', label: 'Dominant', getValue: (entry) => entry.dominant?.label },
+  { key: 'purity', label: 'Purity', getValue: (entry) => entry.purity },
+  { key: 'composition', label: 'Composition', getValue: null }
+]
+
+export default function CommunityView({ communities, isColoringScene, onColorScene, onSelectIndices }) {
+  const [sort, setSort] = useState({ key: 'id', descending: false })
+  const [activeId, setActiveId] = useState(null)
+  const splitSpecies = useMemo(() => findSplitSpecies(communities), [communities])
+
+  const sortedCommunities = useMemo(() => {
+    const list = communities?.communities ?? []
+    const column = COMMUNITY_COLUMNS.find((entry) => entry.key === sort.key)
+    if (!column?.getValue) return list
+    const direction = sort.descending ? -1 : 1
+    return [...list].sort((a, b) => {
+      const aValue = column.getValue(a)
+      const bValue = column.getValue(b)
+      if (aValue == null || bValue == null) return (aValue == null) - (bValue == null)
+      const order = typeof aValue === 'string' ? aValue.localeCompare(bValue) : aValue - bValue
+      return order * direction || a.id - b.id
+    })
+  }, [communities, sort])
+
+  if (!communities?.communities.length) {
+    return <div className="query-empty-state">No kNN edges to detect communities from.</div>
+  }
+
+  function handleSort(key) {
+    setSort((previous) =>
+      previous.key === key ? { key, descending: !previous.descending } : { key, descending: key === 'size' }
+    )
+  }
+
+  function handleSelectCommunity(community) {
+    setActiveId(community.id)
+    onSelectIndices(community.indices)
+  }
+
+  return (
+    <div className="community-view">
+      <div className="classification-summary">
+        <div className="query-subtitle">
+          Similarity-weighted Louvain over the kNN edges: {communities.communities.length} communities, modularity{' '}
+          {communities.modularity.toFixed(3)}. Low purity marks where the embedding groups grains across species.
+          Click a community to select its grains.
+        </div>
+        <div className="rail-actions">
+          <button
+            type="button"
+            className={`rail-action${isColoringScene ? ' is-active' : ''}`}
+            aria-pressed={isColoringScene}
+            onClick={onColorScene}
+          >
+            Color Scene
+          </button>
+        </div>
+      </div>
+
+      <table className="species-stats-table">
+        <thead>
+          <tr>
+            {COMMUNITY_COLUMNS.map((column) => (
+              <th
+                key={column.key}
+                scope="col"
+                aria-sort={sort.key === column.key ? (sort.descending ? 'descending' : 'ascending') : undefined}
+              >
+                {column.getValue ? (
+                  <button type="button" className="species-stats-sort" onClick={() => handleSort(column.key)}>
+                    {column.label}
+                    {sort.key === column.key ? (sort.descending ? ' ↓' : ' ↑') : ''}
+                  </button>
+                ) : (
+                  column.label
+                )}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {sortedCommunities.map((community) => (
+            <tr key={community.id} className={`consensus-row${community.id === activeId ? ' is-active' : ''}`}>
+              <th scope="row">
+                <button type="button" className="species-stats-sort" onClick={() => handleSelectCommunity(community)}>
+                  <span className="species-stats-name">
+                    <span className="species-dot" style={{ backgroundColor: community.color }} aria-hidden="true" />
+                    {community.label}
+                  </span>
+                </button>
+              </th>
+              <td>
+                {community.size}
+                {community.fossilCount ? (
+                  <span className="species-stats-note"> incl. {community.fossilCount} fossil</span>
+                ) : null}
+              </td>
+              <td>{community.dominant?.label ?? <span className="species-stats-note">fossils only</span>}</td>
+              <td>{formatPercent(community.purity)}</td>
+              <td>
+                <SpeciesVoteBar votes={community.composition} />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {splitSpecies.length ? (
+        <div className="community-split">
+          <div className="mono-label">Split Species</div>
+          <ul>
+            {splitSpecies.map((entry) => (
+              <li key={entry.species}>
+                <span className="species-stats-name">
+                  <span className="species-dot" style={{ backgroundColor: entry.color }} aria-hidden="true" />
+                  {entry.label}
+                </span>
+                <span className="species-stats-note">
+                  {entry.parts
+                    .map((part) => `${part.community.label} ${formatPercent(part.share)}`)
+                    .join(' | ')}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      ) : null}
+    </div>
+  )
+}
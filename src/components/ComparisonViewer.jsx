@@ -0,0 +1,337 @@
+import { useEffect, useRef, useState } from 'react'
+import { createPortal } from 'react-dom'
+import { buildThumbnailUrl, formatSimilarity, prettifySpecies } from '../lib/nodeDisplay'
+
+const COMPARISON_MODES = [
+  { id: 'side', label: 'Side By Side' },
+  { id: 'swipe', label: 'Swipe' },
+  { id: 'onion', label: 'Onion Skin' }
+]
+const MIN_SCALE = 0.5
+const MAX_SCALE = 16
+const ZOOM_STEP = 1.25
+const DEFAULT_VIEW = { scale: 1, x: 0, y: 0 }
+const DEFAULT_ADJUSTMENTS = { rotation: 0, brightness: 100, contrast: 100, split: 50, opacity: 50 }
+
+// Full-window morphology viewer for a fossil query and one leaderboard match.
+// Pan and zoom are shared by both images so the same region stays lined up;
+// rotation applies to the match only, since fossil orientation is arbitrary.
+export default function ComparisonViewer({ query, results, selectedResult, onSelectResult, onClose }) {
+  const [mode, setMode] = useState('side')
+  const [view, setView] = useState(DEFAULT_VIEW)
+  const [adjustments, setAdjustments] = useState(DEFAULT_ADJUSTMENTS)
+  const stageRef = useRef(null)
+  const closeButtonRef = useRef(null)
+  const dragRef = useRef(null)
+
+  const selectedIndex = results.findIndex((result) => result.node_id === selectedResult?.node_id)
+
+  function stepResult(offset) {
+    if (!results.length) return
+    const nextIndex = (Math.max(selectedIndex, 0) + offset + results.length) % results.length
+    onSelectResult(results[nextIndex])
+  }
+
+  function zoomBy(factor, anchor = { x: 0, y: 0 }) {
+    setView((previous) => {
+      const scale = clamp(previous.scale * factor, MIN_SCALE, MAX_SCALE)
+      const ratio = scale / previous.scale
+      // Keep the point under the cursor fixed while zooming.
+      return {
+        scale,
+        x: anchor.x - (anchor.x - previous.x) * ratio,
+        y: anchor.y - (anchor.y - previous.y) * ratio
+      }
+    })
+  }
+
+  function updateAdjustment(key, value) {
+    setAdjustments((previous) => ({ ...previous, [key]: value }))
+  }
+
+  useEffect(() => {
+    const previousFocus = document.activeElement
+    closeButtonRef.current?.focus()
+    return () => {
+      if (previousFocus instanceof HTMLElement) previousFocus.focus()
+    }
+  }, [])
+
+  // Wheel listeners must be non-passive to keep the page from scrolling.
+  useEffect(() => {
+    const stage = stageRef.current
+    if (!stage) return undefined
+
+    function handleWheel(event) {
+      const pane = event.target instanceof Element ? event.target.closest('.comparison-pane') : null
+      if (!pane) return
+      event.preventDefault()
+      const rect = pane.getBoundingClientRect()
+      zoomBy(event.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP, {
+        x: event.clientX - rect.left - rect.width / 2,
+        y: event.clientY - rect.top - rect.height / 2
+      })
+    }
+
+    stage.addEventListener('wheel', handleWheel, { passive: false })
+    return () => {
+      stage.removeEventListener('wheel', handleWheel)
+    }
+  }, [])
+
+  useEffect(() => {
+    function handleKeyDown(event) {
+      if (event.metaKey || event.ctrlKey || event.altKey) return
+      const target = event.target
+      // Sliders and selects own their arrow keys.
+      if (target instanceof HTMLElement && /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName) && event.key !== 'Escape') {
+        return
+      }
+
+      if (event.key === 'Escape') {
+        onClose()
+      } else if (event.key === 'ArrowRight' || event.key === 'ArrowDown') {
+        stepResult(1)
+      } else if (event.key === 'ArrowLeft' || event.key === 'ArrowUp') {
+        stepResult(-1)
+      } else if (event.key === '+' || event.key === '=') {
+        zoomBy(ZOOM_STEP)
+      } else if (event.key === '-') {
+        zoomBy(1 / ZOOM_STEP)
+      } else if (event.key === '0') {
+        setView(DEFAULT_VIEW)
+      } else if (event.key === 'r') {
+        updateAdjustment('rotation', normalizeRotation(adjustments.rotation + 90))
+      } else {
+        return
+      }
+      event.preventDefault()
+    }
+
+    window.addEventListener('keydown', handleKeyDown)
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown)
+    }
+  })
+
+  function handlePointerDown(event) {
+    if (event.button !== 0) return
+    event.currentTarget.setPointerCapture(event.pointerId)
+    dragRef.current = { pointerId: event.pointerId, x: event.clientX, y: event.clientY }
+  }
+
+  function handlePointerMove(event) {
+    const drag = dragRef.current
+    if (!drag || drag.pointerId !== event.pointerId) return
+    const dx = event.clientX - drag.x
+    const dy = event.clientY - drag.y
+    dragRef.current = { ...drag, x: event.clientX, y: event.clientY }
+    setView((previous) => ({ ...previous, x: previous.x + dx, y: previous.y + dy }))
+  }
+
+  function handlePointerUp(event) {
+    if (dragRef.current?.pointerId === event.pointerId) dragRef.current = null
+  }
+
+  const panTransform = `translate(${view.x}px, ${view.y}px) scale(${view.scale})`
+  const imageStyle = {
+    filter: `brightness(${adjustments.brightness}%) contrast(${adjustments.contrast}%)`
+  }
+  const queryImage = (
+    <img
+      className="comparison-image"
+      src={buildThumbnailUrl(query)}
+      alt={`${query.filename} fossil`}
+      draggable="false"
+      style={{ ...imageStyle, transform: panTransform }}
+    />
+  )
+  const matchImage = selectedResult ? (
+    <img
+      className="comparison-image"
+      src={buildThumbnailUrl(selectedResult)}
+      alt={`${selectedResult.filename} match`}
+      draggable="false"
+      style={{ ...imageStyle, transform: `${panTransform} rotate(${adjustments.rotation}deg)` }}
+    />
+  ) : null
+  const matchSummary = selectedResult
+    ? `#${selectedIndex + 1} ${prettifySpecies(selectedResult.display_species ?? selectedResult.species)} ` +
+      `(${formatSimilarity(selectedResult.similarity)})`
+    : 'no match selected'
+  const paneHandlers = {
+    onPointerDown: handlePointerDown,
+    onPointerMove: handlePointerMove,
+    onPointerUp: handlePointerUp,
+    onPointerCancel: handlePointerUp,
+    onDoubleClick: () => setView(DEFAULT_VIEW)
+  }
+
+  return createPortal(
+    <div className="comparison-viewer" role="dialog" aria-modal="true" aria-label="Image comparison">
+      <div className="comparison-viewer-header">
+        <div>
+          <div className="mono-label">Compare</div>
+          <div className="query-subtitle">
+            Fossil node {query.node_id} vs {matchSummary}
+          </div>
+        </div>
+        <div className="rail-actions">
+          <button type="button" className="rail-action" onClick={() => stepResult(-1)} aria-label="Previous match">
+            ← Prev
+          </button>
+          <button type="button" className="rail-action" onClick={() => stepResult(1)} aria-label="Next match">
+            Next →
+          </button>
+          <button ref={closeButtonRef} className="query-close" type="button" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+
+      <div className="comparison-toolbar">
+        <div className="rail-actions" role="group" aria-label="Comparison mode">
+          {COMPARISON_MODES.map((entry) => (
+            <button
+              key={entry.id}
+              type="button"
+              className={`rail-action${mode === entry.id ? ' is-active' : ''}`}
+              aria-pressed={mode === entry.id}
+              onClick={() => setMode(entry.id)}
+            >
+              {entry.label}
+            </button>
+          ))}
+        </div>
+        <div className="rail-actions" role="group" aria-label="Zoom">
+          <button type="button" className="rail-action" onClick={() => zoomBy(1 / ZOOM_STEP)} aria-label="Zoom out">
+            −
+          </button>
+          <span className="comparison-zoom">{Math.round(view.scale * 100)}%</span>
+          <button type="button" className="rail-action" onClick={() => zoomBy(ZOOM_STEP)} aria-label="Zoom in">
+            +
+          </button>
+          <button type="button" className="rail-action" onClick={() => setView(DEFAULT_VIEW)}>
+            Fit
+          </button>
+        </div>
+        {mode === 'swipe' ? (
+          <AdjustmentSlider
+            label="Swipe"
+            value={adjustments.split}
+            min={0}
+            max={100}
+            unit="%"
+            onChange={(value) => updateAdjustment('split', value)}
+          />
+        ) : null}
+        {mode === 'onion' ? (
+          <AdjustmentSlider
+            label="Match Opacity"
+            value={adjustments.opacity}
+            min={0}
+            max={100}
+            unit="%"
+            onChange={(value) => updateAdjustment('opacity', value)}
+          />
+        ) : null}
+        <AdjustmentSlider
+          label="Rotate Match"
+          value={adjustments.rotation}
+          min={-180}
+          max={180}
+          unit="°"
+          onChange={(value) => updateAdjustment('rotation', value)}
+        />
+        <AdjustmentSlider
+          label="Brightness"
+          value={adjustments.brightness}
+          min={40}
+          max={200}
+          unit="%"
+          onChange={(value) => updateAdjustment('brightness', value)}
+        />
+        <AdjustmentSlider
+          label="Contrast"
+          value={adjustments.contrast}
+          min={40}
+          max={250}
+          unit="%"
+          onChange={(value) => updateAdjustment('contrast', value)}
+        />
+        <button type="button" className="rail-action" onClick={() => setAdjustments(DEFAULT_ADJUSTMENTS)}>
+          Reset
+        </button>
+      </div>
+
+      <div ref={stageRef} className={`comparison-stage is-${mode}`}>
+        {mode === 'side' ? (
+          <>
+            <div className="comparison-pane" {...paneHandlers}>
+              {queryImage}
+              <span className="comparison-pane-label mono-label">Fossil</span>
+            </div>
+            <div className="comparison-pane" {...paneHandlers}>
+              {matchImage}
+              <span className="comparison-pane-label mono-label">Match</span>
+            </div>
+          </>
+        ) : (
+          <div className="comparison-pane" {...paneHandlers}>
+            {queryImage}
+            {matchImage ? (
+              <div
+                className="comparison-overlay"
+                style={
+                  mode === 'swipe'
+                    ? { clipPath: `inset(0 0 0 ${adjustments.split}%)` }
+                    : { opacity: adjustments.opacity / 100 }
+                }
+              >
+                {matchImage}
+              </div>
+            ) : null}
+            {mode === 'swipe' ? (
+              <span className="comparison-divider" style={{ left: `${adjustments.split}%` }} aria-hidden="true" />
+            ) : null}
+            <span className="comparison-pane-label mono-label">
+              {mode === 'swipe' ? 'Fossil | Match' : 'Fossil + Match'}
+            </span>
+          </div>
+        )}
+      </div>
+
+      <div className="comparison-hint query-preview-meta">
+        Drag to pan, scroll to zoom, double-click to fit. ←/→ step matches, +/− zoom, 0 fit, R rotates 90°, Esc
+        closes.
+      </div>
+    </div>,
+    document.body
+  )
+}
+
+function AdjustmentSlider({ label, value, min, max, unit, onChange }) {
+  return (
+    <label className="comparison-slider">
+      <span className="mono-label">
+        {label} {value}
+        {unit}
+      </span>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        value={value}
+        onChange={(event) => onChange(Number(event.target.value))}
+      />
+    </label>
+  )
+}
+
+function normalizeRotation(degrees) {
+  return ((((degrees + 180) % 360) + 360) % 360) - 180
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value))
+}
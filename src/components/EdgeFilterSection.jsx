@@ -0,0 +1,112 @@
+import { useMemo } from 'react'
+import { DEFAULT_EDGE_FILTERS, countVisibleEdges, hasActiveEdgeFilters, summarizeEdges } from '../lib/edgeFilters'
+import { toggleListValue } from '../lib/nodeFilters'
+import { formatSimilarity } from '../lib/nodeDisplay'
+
+const SIMILARITY_STEP = 0.005
+
+export default function EdgeFilterSection({ edges, filters, onFiltersChange }) {
+  const summary = useMemo(() => summarizeEdges(edges), [edges])
+  const visibleCount = useMemo(() => countVisibleEdges(edges, filters), [edges, filters])
+  const sliderMin = Math.floor((summary.minSimilarity ?? 0) / SIMILARITY_STEP) * SIMILARITY_STEP
+  const sliderMax = Math.ceil((summary.maxSimilarity ?? 1) / SIMILARITY_STEP) * SIMILARITY_STEP
+  const ranks = Array.from({ length: summary.maxRank }, (_, index) => index + 1)
+
+  function updateFilters(patch) {
+    onFiltersChange((previous) => ({ ...previous, ...patch }))
+  }
+
+  function handleSimilarityChange(value) {
+    // The slider's floor means "no threshold" so the URL stays clean.
+    updateFilters({ minSimilarity: value <= sliderMin ? null : value })
+  }
+
+  if (!edges.length) return null
+
+  return (
+    <div className="rail-section edge-filters">
+      <div className="rail-header">
+        <div className="mono-label rail-title">Edges</div>
+        <div className="rail-actions">
+          <button
+            type="button"
+            className={`rail-action${filters.opacityBySimilarity ? ' is-active' : ''}`}
+            aria-pressed={filters.opacityBySimilarity}
+            title="Map edge opacity to similarity"
+            onClick={() => updateFilters({ opacityBySimilarity: !filters.opacityBySimilarity })}
+          >
+            Fade Weak
+          </button>
+          <button
+            type="button"
+            className="rail-action"
+            disabled={!hasActiveEdgeFilters(filters)}
+            onClick={() => updateFilters({ ...DEFAULT_EDGE_FILTERS, opacityBySimilarity: filters.opacityBySimilarity })}
+          >
+            Show All
+          </button>
+        </div>
+      </div>
+
+      <label className="edge-filter-slider">
+        <span className="edge-filter-label">
+          Min similarity
+          <span className="species-count">
+            {filters.minSimilarity == null ? 'Any' : `≥ ${formatSimilarity(filters.minSimilarity)}`}
+          </span>
+        </span>
+        <input
+          type="range"
+          min={sliderMin}
+          max={sliderMax}
+          step={SIMILARITY_STEP}
+          value={filters.minSimilarity ?? sliderMin}
+          onChange={(event) => handleSimilarityChange(Number(event.target.value))}
+        />
+      </label>
+
+      {ranks.length > 1 ? (
+        <div className="edge-filter-row">
+          <span className="edge-filter-label">Max kNN rank</span>
+          <div className="facet-chip-list" role="group" aria-label="Maximum kNN rank">
+            {[null, ...ranks].map((rank) => (
+              <button
+                key={rank ?? 'all'}
+                type="button"
+                className={`facet-chip${filters.maxRank === rank ? ' is-active' : ''}`}
+                aria-pressed={filters.maxRank === rank}
+                onClick={() => updateFilters({ maxRank: rank })}
+              >
+                {rank == null ? 'All' : `Top ${rank}`}
+              </button>
+            ))}
+          </div>
+        </div>
+      ) : null}
+
+      <div className="facet-chip-list" role="group" aria-label="Edge kinds">
+        {summary.kinds.map((entry) => {
+          const isExcluded = filters.excludedKinds.includes(entry.kind)
+          return (
+            <button
+              key={entry.kind}
+              type="button"
+              className={`facet-chip${isExcluded ? ' is-excluded' : ''}`}
+              aria-pressed={!isExcluded}
+              onClick={() => updateFilters({ excludedKinds: toggleListValue(filters.excludedKinds, entry.kind) })}
+            >
+              <span className={`edge-kind-swatch${entry.isBridge ? ' is-bridge' : ''}`} aria-hidden="true" />
+              <span>{entry.label}</span>
+              <span className="species-count">{entry.count}</span>
+            </button>
+          )
+        })}
+      </div>
+
+      <div className="edge-filter-note">
+        {visibleCount === edges.length ? `${edges.length} edges` : `${visibleCount} of ${edges.length} edges`}
+        {summary.kinds.some((entry) => entry.isBridge) ? ' | dashed red = synthetic bridge, not a kNN neighbor' : ''}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,86 @@
+import { useEffect, useRef, useState } from 'react'
+import { collectDroppedFiles } from '../lib/localPackage'
+
+// Listens on the window rather than a wrapper element so drops land anywhere
+// on the NEST tab, including over the canvas and floating panels. Only drags
+// that carry files show the overlay. Unreadable drops go to onDropError.
+export default function ExportDropZone({ onDropFiles, onDropError }) {
+  const [isDragging, setIsDragging] = useState(false)
+  const handlersRef = useRef({ onDropFiles, onDropError })
+
+  useEffect(() => {
+    handlersRef.current = { onDropFiles, onDropError }
+  }, [onDropFiles, onDropError])
+
+  useEffect(() => {
+    // dragenter/dragleave fire for every child crossed, so count the depth.
+    let depth = 0
+
+    function carriesFiles(event) {
+      return [...(event.dataTransfer?.types ?? [])].includes('Files')
+    }
+
+    function handleDragEnter(event) {
+      if (!carriesFiles(event)) return
+      event.preventDefault()
+      depth += 1
+      setIsDragging(true)
+    }
+
+    function handleDragOver(event) {
+      if (!carriesFiles(event)) return
+      event.preventDefault()
+      event.dataTransfer.dropEffect = 'copy'
+    }
+
+    function handleDragLeave(event) {
+      if (!carriesFiles(event)) return
+      depth = Math.max(0, depth - 1)
+      if (!depth) setIsDragging(false)
+    }
+
+    async function handleDrop(event) {
+      if (!carriesFiles(event)) return
+      event.preventDefault()
+      depth = 0
+      setIsDragging(false)
+
+      let droppedFiles
+      try {
+        droppedFiles = await collectDroppedFiles(event.dataTransfer)
+      } catch (error) {
+        handlersRef.current.onDropError(error)
+        return
+      }
+      if (!droppedFiles.length) {
+        handlersRef.current.onDropError(new Error('No files found in the drop.'))
+        return
+      }
+      handlersRef.current.onDropFiles(droppedFiles)
+    }
+
+    window.addEventListener('dragenter', handleDragEnter)
+    window.addEventListener('dragover', handleDragOver)
+    window.addEventListener('dragleave', handleDragLeave)
+    window.addEventListener('drop', handleDrop)
+    return () => {
+      window.removeEventListener('dragenter', handleDragEnter)
+      window.removeEventListener('dragover', handleDragOver)
+      window.removeEventListener('dragleave', handleDragLeave)
+      window.removeEventListener('drop', handleDrop)
+    }
+  }, [])
+
+  if (!isDragging) return null
+
+  return (
+    <div className="export-drop-overlay" aria-hidden="true">
+      <div className="export-drop-card">
+        <div className="mono-label">Local Preview</div>
+        <div className="scene-copy">
+          Drop a NEST export folder or zip with manifest.json, nodes.json, edges.json and species.json.
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,123 @@
+import { useEffect, useRef, useState } from 'react'
+import { DEFAULT_FIGURE_OPTIONS, FIGURE_BACKGROUNDS, FIGURE_SCALES } from '../lib/figureExport'
+
+// Toolbar popover for publication figures. Both exporters resolve to a short
+// description of what was saved, shown as the status line.
+export default function FigureExportMenu({ onExportPng, onExportSvg }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const [options, setOptions] = useState(DEFAULT_FIGURE_OPTIONS)
+  const [status, setStatus] = useState(null)
+  const [isBusy, setIsBusy] = useState(false)
+  const menuRef = useRef(null)
+
+  useEffect(() => {
+    if (!isOpen) return undefined
+
+    function handlePointerDown(event) {
+      if (!menuRef.current?.contains(event.target)) setIsOpen(false)
+    }
+
+    window.addEventListener('pointerdown', handlePointerDown)
+    return () => {
+      window.removeEventListener('pointerdown', handlePointerDown)
+    }
+  }, [isOpen])
+
+  function updateOptions(patch) {
+    setOptions((previous) => ({ ...previous, ...patch }))
+  }
+
+  async function runExport(exporter) {
+    setIsBusy(true)
+    setStatus('Rendering…')
+    try {
+      setStatus(`Saved ${await exporter(options)}`)
+    } catch (error) {
+      setStatus(error?.message ?? 'Export failed.')
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  return (
+    <div
+      ref={menuRef}
+      className="figure-export"
+      onKeyDown={(event) => {
+        if (event.key !== 'Escape' || !isOpen) return
+        event.stopPropagation()
+        setIsOpen(false)
+      }}
+    >
+      <button
+        type="button"
+        className={`canvas-tool-button${isOpen ? ' is-active' : ''}`}
+        aria-expanded={isOpen}
+        aria-haspopup="dialog"
+        onClick={() => setIsOpen((previous) => !previous)}
+      >
+        Figure
+      </button>
+
+      {isOpen ? (
+        <div className="figure-export-menu" role="dialog" aria-label="Export figure">
+          <div className="edge-filter-row">
+            <span className="edge-filter-label">PNG scale</span>
+            <div className="facet-chip-list" role="group" aria-label="PNG scale">
+              {FIGURE_SCALES.map((scale) => (
+                <button
+                  key={scale}
+                  type="button"
+                  className={`facet-chip${options.scale === scale ? ' is-active' : ''}`}
+                  aria-pressed={options.scale === scale}
+                  onClick={() => updateOptions({ scale })}
+                >
+                  {scale}x
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="edge-filter-row">
+            <span className="edge-filter-label">Background</span>
+            <div className="facet-chip-list" role="group" aria-label="Background">
+              {FIGURE_BACKGROUNDS.map((background) => (
+                <button
+                  key={background.id}
+                  type="button"
+                  className={`facet-chip${options.background === background.id ? ' is-active' : ''}`}
+                  aria-pressed={options.background === background.id}
+                  onClick={() => updateOptions({ background: background.id })}
+                >
+                  {background.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <label className="figure-export-check">
+            <input
+              type="checkbox"
+              checked={options.includeLegend}
+              onChange={(event) => updateOptions({ includeLegend: event.target.checked })}
+            />
+            Include legend
+          </label>
+
+          <div className="rail-actions">
+            <button type="button" className="rail-action" disabled={isBusy} onClick={() => runExport(onExportPng)}>
+              PNG
+            </button>
+            <button type="button" className="rail-action" disabled={isBusy} onClick={() => runExport(onExportSvg)}>
+              SVG
+            </button>
+          </div>
+
+          <div className="edge-filter-note" role="status">
+            {status ?? 'PNG renders the current view; SVG is an orthographic projection at the current angle.'}
+          </div>
+        </div>
+      ) : null}
+    </div>
+  )
+}
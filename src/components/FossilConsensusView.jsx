@@ -0,0 +1,112 @@
+import { useMemo, useState } from 'react'
+import { computeFossilConsensus } from '../lib/fossilConsensus'
+import { formatPercent, formatSimilarity } from '../lib/nodeDisplay'
+import SpeciesVoteBar from './SpeciesVoteBar'
+
+const CONSENSUS_COLUMNS = [
+  { key: 'nodeId', label: 'Fossil', getValue: (entry) => entry.nodeId },
+  { key: 'predicted', label: 'Predicted', getValue: (entry) => entry.predicted?.label },
+  { key: 'confidence', label: 'Confidence', getValue: (entry) => entry.confidence },
+  { key: 'margin', label: 'Margin', getValue: (entry) => entry.margin },
+  { key: 'votes', label: 'Vote Distribution', getValue: null }
+]
+
+export default function FossilConsensusView({ data, activeQueryNodeId, onOpenQuery }) {
+  const [sort, setSort] = useState({ key: 'confidence', descending: true })
+  const consensus = useMemo(() => computeFossilConsensus(data), [data])
+
+  const sortedConsensus = useMemo(() => {
+    const column = CONSENSUS_COLUMNS.find((entry) => entry.key === sort.key)
+    if (!column?.getValue) return consensus
+    const direction = sort.descending ? -1 : 1
+    return [...consensus].sort((a, b) => {
+      const aValue = column.getValue(a)
+      const bValue = column.getValue(b)
+      if (aValue == null || bValue == null) return (aValue == null) - (bValue == null)
+      const order = typeof aValue === 'string' ? aValue.localeCompare(bValue) : aValue - bValue
+      // Ties within a predicted species read best by confidence.
+      return order * direction || (b.confidence ?? 0) - (a.confidence ?? 0)
+    })
+  }, [consensus, sort])
+
+  if (!consensus.length) {
+    return <div className="query-empty-state">Static fossil search results were not found in the current export.</div>
+  }
+
+  function handleSort(key) {
+    setSort((previous) =>
+      previous.key === key
+        ? { key, descending: !previous.descending }
+        : { key, descending: key === 'confidence' || key === 'margin' }
+    )
+  }
+
+  return (
+    <div className="fossil-consensus">
+      <div className="query-subtitle">
+        Similarity-weighted species vote over each fossil&apos;s stored top-k matches. Margin = lead over the
+        runner-up species. Click a fossil to open it in the query panel.
+      </div>
+      <table className="species-stats-table">
+        <thead>
+          <tr>
+            {CONSENSUS_COLUMNS.map((column) => (
+              <th
+                key={column.key}
+                scope="col"
+                aria-sort={sort.key === column.key ? (sort.descending ? 'descending' : 'ascending') : undefined}
+              >
+                {column.getValue ? (
+                  <button type="button" className="species-stats-sort" onClick={() => handleSort(column.key)}>
+                    {column.label}
+                    {sort.key === column.key ? (sort.descending ? ' ↓' : ' ↑') : ''}
+                  </button>
+                ) : (
+                  column.label
+                )}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {sortedConsensus.map((entry) => (
+            <tr
+              key={entry.nodeId}
+              className={`consensus-row${entry.nodeId === activeQueryNodeId ? ' is-active' : ''}`}
+            >
+              <th scope="row">
+                <button type="button" className="species-stats-sort" onClick={() => onOpenQuery(entry.nodeId)}>
+                  Node {entry.nodeId}
+                </button>
+                <span className="species-stats-note"> {entry.query?.crop_size}</span>
+              </th>
+              <td>
+                {entry.predicted ? (
+                  <span className="species-stats-name">
+                    <span className="species-dot" style={{ backgroundColor: entry.predicted.color }} aria-hidden="true" />
+                    {entry.predicted.label}
+                  </span>
+                ) : (
+                  <span className="species-stats-note">no matches</span>
+                )}
+              </td>
+              <td>
+                {formatPercent(entry.confidence)}
+                {entry.predicted ? (
+                  <span className="species-stats-note">
+                    {' '}
+                    {entry.predicted.count}/{entry.resultCount} | best {formatSimilarity(entry.predicted.bestSimilarity)}
+                  </span>
+                ) : null}
+              </td>
+              <td>{formatPercent(entry.margin)}</td>
+              <td>
+                <SpeciesVoteBar votes={entry.votes} />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
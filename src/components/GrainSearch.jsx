@@ -0,0 +1,135 @@
+import { useDeferredValue, useEffect, useId, useMemo, useRef, useState } from 'react'
+import { buildGrainSearchIndex, searchGrains } from '../lib/grainSearch'
+import { prettifySpecies } from '../lib/nodeDisplay'
+
+const RESULT_LIMIT = 8
+
+export default function GrainSearch({ data, onPickIndex }) {
+  const [query, setQuery] = useState('')
+  const [activeResult, setActiveResult] = useState(0)
+  const [isOpen, setIsOpen] = useState(false)
+  const inputRef = useRef(null)
+  const listboxId = useId()
+  const deferredQuery = useDeferredValue(query)
+
+  const searchIndex = useMemo(() => (data ? buildGrainSearchIndex(data.nodes) : []), [data])
+  const results = useMemo(
+    () => searchGrains(searchIndex, deferredQuery, RESULT_LIMIT),
+    [deferredQuery, searchIndex]
+  )
+
+  useEffect(() => {
+    setActiveResult(0)
+  }, [results])
+
+  useEffect(() => {
+    // "/" jumps to search from anywhere that is not already a text field.
+    function handleKeyDown(event) {
+      if (event.key !== '/' || event.metaKey || event.ctrlKey || event.altKey) return
+      const target = event.target
+      if (target instanceof HTMLElement && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName))) {
+        return
+      }
+      event.preventDefault()
+      inputRef.current?.focus()
+    }
+
+    window.addEventListener('keydown', handleKeyDown)
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown)
+    }
+  }, [])
+
+  if (!data) return null
+
+  const showResults = isOpen && query.trim().length > 0
+
+  // Options swallow mousedown so the input keeps focus and onBlur does not
+  // close the list before the click lands.
+  function pickResult(result) {
+    if (!result) return
+    onPickIndex(result.index)
+    setIsOpen(false)
+    inputRef.current?.blur()
+  }
+
+  function handleKeyDown(event) {
+    if (event.key === 'ArrowDown') {
+      event.preventDefault()
+      setIsOpen(true)
+      setActiveResult((value) => (results.length ? (value + 1) % results.length : 0))
+    } else if (event.key === 'ArrowUp') {
+      event.preventDefault()
+      setActiveResult((value) => (results.length ? (value - 1 + results.length) % results.length : 0))
+    } else if (event.key === 'Enter') {
+      event.preventDefault()
+      pickResult(results[activeResult])
+    } else if (event.key === 'Escape') {
+      if (showResults) {
+        setIsOpen(false)
+      } else {
+        setQuery('')
+        inputRef.current?.blur()
+      }
+    }
+  }
+
+  return (
+    <section className="floating-panel grain-search" aria-label="Grain search">
+      <label className="mono-label" htmlFor={`${listboxId}-input`}>
+        Find Grain
+      </label>
+      <input
+        ref={inputRef}
+        id={`${listboxId}-input`}
+        className="grain-search-input"
+        type="search"
+        value={query}
+        placeholder="Filename, species, node id or path  ( / )"
+        autoComplete="off"
+        spellCheck={false}
+        role="combobox"
+        aria-expanded={showResults}
+        aria-controls={listboxId}
+        aria-autocomplete="list"
+        aria-activedescendant={showResults && results[activeResult] ? `${listboxId}-${activeResult}` : undefined}
+        onChange={(event) => {
+          setQuery(event.target.value)
+          setIsOpen(true)
+        }}
+        onFocus={() => setIsOpen(true)}
+        onBlur={() => setIsOpen(false)}
+        onKeyDown={handleKeyDown}
+      />
+
+      {showResults ? (
+        <div className="grain-search-results" id={listboxId} role="listbox" aria-label="Matching grains">
+          {results.length ? (
+            results.map((result, position) => {
+              const node = data.nodes[result.index]
+              return (
+                <div
+                  key={node.id}
+                  id={`${listboxId}-${position}`}
+                  role="option"
+                  aria-selected={position === activeResult}
+                  className={`grain-search-option${position === activeResult ? ' is-active' : ''}`}
+                  onMouseEnter={() => setActiveResult(position)}
+                  onMouseDown={(event) => event.preventDefault()}
+                  onClick={() => pickResult(result)}
+                >
+                  <span className="leaderboard-species">{prettifySpecies(node.displaySpecies ?? node.species)}</span>
+                  <span className="leaderboard-file">
+                    {node.filename} | Node {node.id}
+                  </span>
+                </div>
+              )
+            })
+          ) : (
+            <div className="grain-search-empty">No grains match.</div>
+          )}
+        </div>
+      ) : null}
+    </section>
+  )
+}
@@ -0,0 +1,208 @@
+import { useEffect, useId, useMemo, useRef, useState } from 'react'
+import { buildGrainTableRows, filterGrainTableRows, sortGrainTableRows } from '../lib/grainTable'
+import { formatSimilarity } from '../lib/nodeDisplay'
+
+const ROW_HEIGHT = 28
+const OVERSCAN_ROWS = 8
+const TABLE_COLUMNS = [
+  { key: 'id', label: 'ID' },
+  { key: 'speciesLabel', label: 'Species' },
+  { key: 'cropSize', label: 'Crop' },
+  { key: 'filename', label: 'File' },
+  { key: 'degree', label: 'Degree' },
+  { key: 'meanSimilarity', label: 'Mean Sim' }
+]
+
+// Non-WebGL view of the whole package. Only the rows inside the scroll
+// viewport are rendered; aria-rowcount/aria-rowindex keep the full table
+// size available to screen readers.
+export default function GrainTableView({
+  data,
+  filterMask,
+  selectedIndex,
+  onSelectIndex,
+  canShowGraph,
+  onShowGraph
+}) {
+  const [filterText, setFilterText] = useState('')
+  const [sort, setSort] = useState({ key: 'id', descending: false })
+  const [viewport, setViewport] = useState({ scrollTop: 0, height: 480 })
+  const scrollRef = useRef(null)
+  const inputId = useId()
+
+  const rows = useMemo(() => buildGrainTableRows(data), [data])
+  const visibleRows = useMemo(
+    () => sortGrainTableRows(filterGrainTableRows(rows, { mask: filterMask, text: filterText }), sort),
+    [filterMask, filterText, rows, sort]
+  )
+  const selectedPosition = useMemo(
+    () => (selectedIndex == null ? -1 : visibleRows.findIndex((row) => row.index === selectedIndex)),
+    [selectedIndex, visibleRows]
+  )
+
+  useEffect(() => {
+    const element = scrollRef.current
+    if (!element) return undefined
+
+    const observer = new ResizeObserver(() => {
+      setViewport((previous) => ({ ...previous, height: element.clientHeight }))
+    })
+    observer.observe(element)
+    return () => {
+      observer.disconnect()
+    }
+  }, [])
+
+  // Keep the selected grain in view when it changes from elsewhere (graph,
+  // search, query panel) or when sorting moves it.
+  useEffect(() => {
+    const element = scrollRef.current
+    if (!element || selectedPosition < 0) return
+    const rowTop = selectedPosition * ROW_HEIGHT
+    const bodyHeight = element.clientHeight - ROW_HEIGHT
+    if (rowTop < element.scrollTop) {
+      element.scrollTop = rowTop
+    } else if (rowTop + ROW_HEIGHT > element.scrollTop + bodyHeight) {
+      element.scrollTop = rowTop + ROW_HEIGHT - bodyHeight
+    }
+  }, [selectedPosition])
+
+  function handleSort(key) {
+    setSort((previous) =>
+      previous.key === key
+        ? { key, descending: !previous.descending }
+        : { key, descending: key === 'degree' || key === 'meanSimilarity' }
+    )
+  }
+
+  function handleKeyDown(event) {
+    if (!visibleRows.length) return
+    const pageRows = Math.max(1, Math.floor(viewport.height / ROW_HEIGHT) - 1)
+    const steps = { ArrowDown: 1, ArrowUp: -1, PageDown: pageRows, PageUp: -pageRows }
+    let nextPosition = null
+
+    if (event.key in steps) {
+      nextPosition = selectedPosition < 0 ? 0 : selectedPosition + steps[event.key]
+    } else if (event.key === 'Home') {
+      nextPosition = 0
+    } else if (event.key === 'End') {
+      nextPosition = visibleRows.length - 1
+    } else if (event.key === 'Escape' && selectedIndex != null) {
+      event.preventDefault()
+      onSelectIndex(null)
+      return
+    } else {
+      return
+    }
+
+    event.preventDefault()
+    onSelectIndex(visibleRows[Math.min(visibleRows.length - 1, Math.max(0, nextPosition))].index)
+  }
+
+  const firstRow = Math.max(0, Math.floor(viewport.scrollTop / ROW_HEIGHT) - OVERSCAN_ROWS)
+  const lastRow = Math.min(
+    visibleRows.length,
+    Math.ceil((viewport.scrollTop + viewport.height) / ROW_HEIGHT) + OVERSCAN_ROWS
+  )
+  const renderedRows = visibleRows.slice(firstRow, lastRow)
+
+  return (
+    <section className="floating-panel grain-table-view" aria-label="Grain table">
+      <div className="query-header">
+        <div>
+          <div className="mono-label">Grain Table</div>
+          <div className="query-subtitle" role="status">
+            {visibleRows.length === rows.length
+              ? `${rows.length} grains`
+              : `${visibleRows.length} of ${rows.length} grains`}
+            {selectedPosition >= 0 ? ` | row ${selectedPosition + 1} selected` : ''}
+          </div>
+        </div>
+        <button
+          className="query-close"
+          type="button"
+          disabled={!canShowGraph}
+          title={canShowGraph ? undefined : 'WebGL is not available in this browser'}
+          onClick={onShowGraph}
+        >
+          Graph View
+        </button>
+      </div>
+
+      <label className="visually-hidden" htmlFor={inputId}>
+        Filter grains
+      </label>
+      <input
+        id={inputId}
+        className="grain-table-filter"
+        type="search"
+        placeholder="Filter by id, species, crop or file"
+        value={filterText}
+        onChange={(event) => setFilterText(event.target.value)}
+      />
+
+      <div
+        ref={scrollRef}
+        className="grain-table-scroll"
+        tabIndex={0}
+        aria-label="Grain rows. Up and down arrows move the selection."
+        onKeyDown={handleKeyDown}
+        onScroll={(event) => {
+          const { scrollTop } = event.currentTarget
+          setViewport((previous) => ({ ...previous, scrollTop }))
+        }}
+      >
+        <table className="grain-table" aria-rowcount={visibleRows.length + 1}>
+          <thead>
+            <tr aria-rowindex={1}>
+              {TABLE_COLUMNS.map((column) => (
+                <th
+                  key={column.key}
+                  scope="col"
+                  aria-sort={sort.key === column.key ? (sort.descending ? 'descending' : 'ascending') : undefined}
+                >
+                  <button type="button" className="species-stats-sort" onClick={() => handleSort(column.key)}>
+                    {column.label}
+                    {sort.key === column.key ? (sort.descending ? ' ↓' : ' ↑') : ''}
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {firstRow > 0 ? (
+              <tr aria-hidden="true" style={{ height: firstRow * ROW_HEIGHT }}>
+                <td colSpan={TABLE_COLUMNS.length} />
+              </tr>
+            ) : null}
+            {renderedRows.map((row, offset) => {
+              const isSelected = row.index === selectedIndex
+              return (
+                <tr
+                  key={row.index}
+                  aria-rowindex={firstRow + offset + 2}
+                  aria-selected={isSelected}
+                  className={isSelected ? 'is-selected' : undefined}
+                  onClick={() => onSelectIndex(row.index)}
+                >
+                  <td>{row.id}</td>
+                  <td>{row.speciesLabel}</td>
+                  <td>{row.cropSize}</td>
+                  <td>{row.filename}</td>
+                  <td>{row.degree}</td>
+                  <td>{formatSimilarity(row.meanSimilarity)}</td>
+                </tr>
+              )
+            })}
+            {lastRow < visibleRows.length ? (
+              <tr aria-hidden="true" style={{ height: (visibleRows.length - lastRow) * ROW_HEIGHT }}>
+                <td colSpan={TABLE_COLUMNS.length} />
+              </tr>
+            ) : null}
+          </tbody>
+        </table>
+        {!visibleRows.length ? <div className="query-empty-state">No grains match the current filters.</div> : null}
+      </div>
+    </section>
+  )
+}
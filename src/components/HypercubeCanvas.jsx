@@ -1,23 +1,102 @@
 import { OrbitControls } from '@react-three/drei'
-import { Canvas, useFrame } from '@react-three/fiber'
-import { useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react'
+import { Canvas, useFrame, useThree } from '@react-three/fiber'
+import { useEffect, useId, useLayoutEffect, useMemo, useRef, useState } from 'react'
 import * as THREE from 'three'
+import { partitionVisibleEdges, summarizeEdges } from '../lib/edgeFilters'
+import { buildFigureFilename, buildFigureSvg, canvasToBlob, drawFigureLegend, rgb01ToHex } from '../lib/figureExport'
+import { getNodeNeighbors } from '../lib/graphNeighbors'
+import { formatSimilarity, prettifySpecies } from '../lib/nodeDisplay'
+import { downloadBlob } from '../lib/queryExport'
+import FigureExportMenu from './FigureExportMenu'
 
 const GRAPH_SCALE = 1.45
 const CLICK_ROTATION_ASSIST_MS = 1000
+const MARQUEE_MIN_DRAG_PX = 4
+const LASSO_POINT_SPACING_PX = 3
+const SELECTION_TOOLS = [
+  { id: 'box', label: 'Box' },
+  { id: 'lasso', label: 'Lasso' }
+]
+const EMPTY_SELECTION_SET = []
+const DEFAULT_CAMERA_POSITION = [0, 0.25, 4.2]
+const CAMERA_REPORT_DELAY_MS = 300
+const ORBIT_MIN_DISTANCE = 2.4
+const ORBIT_MAX_DISTANCE = 8
+const FOCUS_DISTANCE = 1.3
+const FOCUS_MIN_DISTANCE = 0.6
+const FOCUS_TWEEN_SECONDS = 0.9
+const LAYOUT_MORPH_SECONDS = 1.1
+const ORBIT_ORIGIN = new THREE.Vector3()
 const FOSSIL_PULSE_RED = new THREE.Color('#ff2438')
 const FOSSIL_PULSE_BLACK = new THREE.Color('#090202')
+const SCENE_BACKGROUND = new THREE.Color('#f6f5f1')
+const FILTER_DIM_AMOUNT = 0.82
+const NEIGHBORHOOD_DIM_AMOUNT = 0.6
+const NEIGHBOR_EDGE_TOP_RANK = new THREE.Color('#f21f2f')
+const NEIGHBOR_EDGE_INK = new THREE.Color('#111111')
+const EMPTY_NEIGHBORS = []
+const EMPTY_PATH = []
+const EMPTY_SCENE_LABELS = []
+const SCENE_LABEL_GAP_PX = 4
+// The farthest visible label keeps 1 - this of its opacity.
+const SCENE_LABEL_DEPTH_FADE = 0.6
+// Labels the camera has flown into fade out instead of covering the close-up.
+const SCENE_LABEL_NEAR_FADE_START = 0.9
+const SCENE_LABEL_NEAR_FADE_END = 0.4
+const EDGE_INK_RGB = new THREE.Color('#111111').toArray()
+const EDGE_MIN_SIMILARITY_ALPHA = 0.1
+const BRIDGE_EDGE_COLOR = '#f21f2f'
+const LAYOUT_SHAPE_MODES = [
+  { id: 'freeform', label: 'Free' },
+  { id: 'spherify', label: 'Sphere' }
+]
+const KEYBOARD_ORBIT_STEP = Math.PI / 24
+const KEYBOARD_ZOOM_FACTOR = 1.15
+const KEYBOARD_POLAR_MARGIN = 0.05
 
 export default function HypercubeCanvas({
   data,
   hoveredIndex,
   selectedIndex,
+  selectionSet = EMPTY_SELECTION_SET,
+  filterMask = null,
+  filterMode = 'dim',
+  edgeFilters = null,
+  nodeColors = null,
+  sceneLabels = EMPTY_SCENE_LABELS,
+  showSceneLabels = false,
+  figureLegend = null,
+  neighbors = EMPTY_NEIGHBORS,
+  pathIndices = EMPTY_PATH,
+  cameraView,
+  focusRequest = null,
+  displayFields = [],
+  displayField,
+  shapeMode,
+  onLayoutChange,
+  onCameraChange,
   onHoverChange,
-  onSelectIndex
+  onSelectIndex,
+  onResetView,
+  onMarqueeSelect,
+  onToggleSelectionMember,
+  onToggleSceneLabels,
+  onShowTable
 }) {
   const [isInteracting, setIsInteracting] = useState(false)
   const [reducedMotion, setReducedMotion] = useState(false)
+  const [selectionTool, setSelectionTool] = useState('box')
+  const [resetRequest, setResetRequest] = useState(null)
   const rotationAssistStartedAtRef = useRef(-Infinity)
+  const [announcement, setAnnouncement] = useState('')
+  const shellRef = useRef(null)
+  const groupRef = useRef(null)
+  const cameraRef = useRef(null)
+  const controlsRef = useRef(null)
+  const keyboardWalkRef = useRef(null)
+  const labelElementsRef = useRef(new Map())
+  const figureExportRef = useRef(null)
+  const keyboardHintId = useId()
 
   useEffect(() => {
     const media = window.matchMedia('(prefers-reduced-motion: reduce)')
@@ -30,15 +109,171 @@ export default function HypercubeCanvas({
     }
   }, [])
 
+  // Announce every selection change, whichever input caused it. Keyboard steps
+  // leave their neighbor position in keyboardWalkRef for the message.
+  useEffect(() => {
+    if (selectedIndex == null) {
+      setAnnouncement((previous) => (previous ? 'Selection cleared.' : previous))
+      return
+    }
+
+    const node = data.nodes[selectedIndex]
+    if (!node) return
+    const walk = keyboardWalkRef.current
+    const step =
+      walk?.stepIndex === selectedIndex && walk.position >= 0
+        ? ` Neighbor ${walk.position + 1} of ${walk.neighbors.length}, similarity ${formatSimilarity(
+            walk.neighbors[walk.position].similarity
+          )}.`
+        : ''
+    setAnnouncement(`Selected ${prettifySpecies(node.displaySpecies ?? node.species)}, ${node.filename}.${step}`)
+  }, [data, selectedIndex])
+
   function triggerRotationAssist() {
     rotationAssistStartedAtRef.current = performance.now()
   }
 
+  function handleResetView() {
+    onResetView?.()
+    setResetRequest({})
+  }
+
+  async function handleExportPng(options) {
+    const figure = figureExportRef.current
+    if (!figure) throw new Error('The scene is not ready yet.')
+    const { blob, width, height, cappedScale } = await figure.renderPng({
+      ...options,
+      legend: options.includeLegend ? figureLegend : null
+    })
+    downloadBlob(buildFigureFilename('png'), blob)
+    const note = cappedScale ? ` (capped at ${cappedScale.toFixed(1)}x by GPU limits)` : ''
+    return `${width} × ${height} PNG${note}`
+  }
+
+  async function handleExportSvg(options) {
+    const figure = figureExportRef.current
+    if (!figure) throw new Error('The scene is not ready yet.')
+    const svg = figure.buildSvg({ ...options, legend: options.includeLegend ? figureLegend : null })
+    downloadBlob(buildFigureFilename('svg'), new Blob([svg], { type: 'image/svg+xml' }))
+    return 'SVG'
+  }
+
+  // Arrow keys cycle through the kNN neighbors of the grain the walk started
+  // from, so repeated presses stay in one neighborhood; Enter moves the walk
+  // onto the grain currently selected.
+  function stepKeyboardNeighbor(offset) {
+    const isVisible = (index) => !filterMask || filterMode !== 'hide' || filterMask[index]
+
+    if (selectedIndex == null) {
+      const firstIndex = data.nodes.findIndex((_, index) => isVisible(index))
+      if (firstIndex >= 0) onSelectIndex(firstIndex)
+      return
+    }
+
+    let walk = keyboardWalkRef.current
+    const isInWalk =
+      walk &&
+      walk.data === data &&
+      (walk.anchorIndex === selectedIndex || walk.neighbors.some((neighbor) => neighbor.index === selectedIndex))
+    if (!isInWalk) walk = startKeyboardWalk(selectedIndex, isVisible)
+    if (!walk.neighbors.length) {
+      setAnnouncement('This grain has no kNN neighbors to step to.')
+      return
+    }
+
+    const count = walk.neighbors.length
+    const current = walk.neighbors.findIndex((neighbor) => neighbor.index === selectedIndex)
+    const position = current >= 0 ? (current + offset + count) % count : offset > 0 ? 0 : count - 1
+    keyboardWalkRef.current = { ...walk, position, stepIndex: walk.neighbors[position].index }
+    onSelectIndex(walk.neighbors[position].index)
+  }
+
+  function startKeyboardWalk(anchorIndex, isVisible = () => true) {
+    const walk = {
+      data,
+      anchorIndex,
+      neighbors: getNodeNeighbors(data, anchorIndex).filter(
+        (neighbor) => neighbor.edgeKind === 'knn' && isVisible(neighbor.index)
+      ),
+      position: -1,
+      stepIndex: null
+    }
+    keyboardWalkRef.current = walk
+    return walk
+  }
+
+  function handleKeyDown(event) {
+    // Toolbar controls live inside the shell and keep their own keys.
+    if (event.target !== event.currentTarget || event.metaKey || event.ctrlKey || event.altKey) return
+    const camera = cameraRef.current
+    const controls = controlsRef.current
+    const isArrow = event.key.startsWith('Arrow')
+
+    if (isArrow && event.shiftKey) {
+      if (!camera || !controls) return
+      const azimuth = event.key === 'ArrowLeft' ? -1 : event.key === 'ArrowRight' ? 1 : 0
+      const polar = event.key === 'ArrowUp' ? -1 : event.key === 'ArrowDown' ? 1 : 0
+      orbitCamera(camera, controls, azimuth * KEYBOARD_ORBIT_STEP, polar * KEYBOARD_ORBIT_STEP)
+    } else if (event.key === 'ArrowRight' || event.key === 'ArrowDown') {
+      stepKeyboardNeighbor(1)
+    } else if (event.key === 'ArrowLeft' || event.key === 'ArrowUp') {
+      stepKeyboardNeighbor(-1)
+    } else if (event.key === 'Enter') {
+      if (selectedIndex == null) return
+      const walk = startKeyboardWalk(selectedIndex)
+      setAnnouncement(`Walking from this grain: ${walk.neighbors.length} kNN neighbors.`)
+    } else if (event.key === '+' || event.key === '=') {
+      if (camera && controls) zoomCamera(camera, controls, 1 / KEYBOARD_ZOOM_FACTOR)
+    } else if (event.key === '-' || event.key === '_') {
+      if (camera && controls) zoomCamera(camera, controls, KEYBOARD_ZOOM_FACTOR)
+    } else if (event.key === 'Escape') {
+      if (selectedIndex == null) return
+      keyboardWalkRef.current = null
+      onSelectIndex(null)
+    } else {
+      return
+    }
+    event.preventDefault()
+  }
+
+  function handleMarqueeComplete(shape, mode) {
+    const camera = cameraRef.current
+    const group = groupRef.current
+    const shell = shellRef.current
+    if (!camera || !group || !shell || !onMarqueeSelect) return
+
+    group.updateMatrixWorld()
+    const { width, height } = shell.getBoundingClientRect()
+    const projected = new THREE.Vector3()
+    const indices = []
+
+    data.nodes.forEach((node, index) => {
+      if (filterMask && !filterMask[index]) return
+      const p = node.displayPosition ?? node.position ?? { x: 0, y: 0, z: 0 }
+      projected.set(p.x ?? 0, p.y ?? 0, p.z ?? 0).applyMatrix4(group.matrixWorld).project(camera)
+      if (projected.z < -1 || projected.z > 1) return
+
+      const x = ((projected.x + 1) / 2) * width
+      const y = ((1 - projected.y) / 2) * height
+      if (isPointInShape(x, y, shape)) indices.push(index)
+    })
+
+    onMarqueeSelect(indices, mode)
+  }
+
   return (
-    <div className="canvas-shell" aria-label="Interactive pollen embedding graph">
+    <div
+      ref={shellRef}
+      className="canvas-shell"
+      role="application"
+      tabIndex={0}
+      aria-label="Interactive pollen embedding graph"
+      aria-describedby={keyboardHintId}
+      onKeyDown={handleKeyDown}
+    >
       <Canvas
         dpr={[1, 2]}
-        camera={{ position: [0, 0.25, 4.2], fov: 50, near: 0.1, far: 100 }}
+        camera={{ position: cameraView?.position ?? DEFAULT_CAMERA_POSITION, fov: 50, near: 0.1, far: 100 }}
         gl={{ antialias: true, alpha: true }}
         onPointerMissed={(event) => {
           if (event.type === 'click') triggerRotationAssist()
@@ -51,23 +286,50 @@ export default function HypercubeCanvas({
         <ambientLight intensity={0.85} />
         <directionalLight position={[3, 2, 4]} intensity={0.45} />
 
+        <CameraBridge
+          cameraRef={cameraRef}
+          controlsRef={controlsRef}
+          cameraView={cameraView}
+          onCameraChange={onCameraChange}
+        />
+
+        <CameraRig
+          groupRef={groupRef}
+          nodes={data.nodes}
+          focusRequest={focusRequest}
+          resetRequest={resetRequest}
+          reducedMotion={reducedMotion}
+        />
+
         <NetworkObject
+          groupRef={groupRef}
           data={data}
           hoveredIndex={hoveredIndex}
           selectedIndex={selectedIndex}
+          selectionSet={selectionSet}
+          filterMask={filterMask}
+          filterMode={filterMode}
+          edgeFilters={edgeFilters}
+          nodeColors={nodeColors}
+          sceneLabels={sceneLabels}
+          labelElementsRef={labelElementsRef}
+          figureExportRef={figureExportRef}
+          neighbors={neighbors}
+          pathIndices={pathIndices}
           onHoverChange={onHoverChange}
           onSelectIndex={onSelectIndex}
-          autoRotate={!isInteracting && !reducedMotion}
+          onToggleSelectionMember={onToggleSelectionMember}
+          autoRotate={!isInteracting && !reducedMotion && !focusRequest}
           reducedMotion={reducedMotion}
           rotationAssistStartedAtRef={rotationAssistStartedAtRef}
           onRotationAssistTrigger={triggerRotationAssist}
         />
 
         <OrbitControls
+          makeDefault
           enablePan={false}
           enableZoom
-          minDistance={2.4}
-          maxDistance={8}
+          maxDistance={ORBIT_MAX_DISTANCE}
           rotateSpeed={0.65}
           zoomSpeed={0.8}
           dampingFactor={0.08}
@@ -75,44 +337,469 @@ export default function HypercubeCanvas({
           onEnd={() => setIsInteracting(false)}
         />
       </Canvas>
+
+      {sceneLabels.length ? (
+        <div className="scene-label-layer" aria-hidden="true">
+          {sceneLabels.map((label) => (
+            <span
+              key={label.key}
+              ref={(element) => {
+                if (element) labelElementsRef.current.set(label.key, element)
+                else labelElementsRef.current.delete(label.key)
+              }}
+              className={`scene-label${label.isSecondary ? ' is-secondary' : ''}`}
+              style={{ borderColor: label.color }}
+            >
+              <span className="scene-label-swatch" style={{ backgroundColor: label.color }} />
+              {label.text}
+            </span>
+          ))}
+        </div>
+      ) : null}
+
+      <MarqueeOverlay shellRef={shellRef} tool={selectionTool} onComplete={handleMarqueeComplete} />
+
+      <div id={keyboardHintId} className="visually-hidden">
+        Arrow keys step through the selected grain&apos;s kNN neighbors and Enter continues the walk from the current
+        grain. Shift with arrow keys orbits, plus and minus zoom, Escape clears the selection.
+      </div>
+      <div className="visually-hidden" role="status" aria-live="polite">
+        {announcement}
+      </div>
+
+      <div className="canvas-toolbar" role="toolbar" aria-label="Selection tools">
+        {SELECTION_TOOLS.map((tool) => (
+          <button
+            key={tool.id}
+            type="button"
+            className={`canvas-tool-button${selectionTool === tool.id ? ' is-active' : ''}`}
+            aria-pressed={selectionTool === tool.id}
+            onClick={() => setSelectionTool(tool.id)}
+          >
+            {tool.label}
+          </button>
+        ))}
+        <span className="canvas-tool-hint">Shift-drag to add, Shift+Alt-drag to remove</span>
+        <button type="button" className="canvas-tool-button" onClick={handleResetView}>
+          Reset View
+        </button>
+        <FigureExportMenu onExportPng={handleExportPng} onExportSvg={handleExportSvg} />
+        {onToggleSceneLabels ? (
+          <button
+            type="button"
+            className={`canvas-tool-button${showSceneLabels ? ' is-active' : ''}`}
+            aria-pressed={showSceneLabels}
+            onClick={onToggleSceneLabels}
+          >
+            Labels
+          </button>
+        ) : null}
+        {onShowTable ? (
+          <button type="button" className="canvas-tool-button" onClick={onShowTable}>
+            Table View
+          </button>
+        ) : null}
+      </div>
+
+      {onLayoutChange && displayFields.length ? (
+        <div className="canvas-toolbar canvas-layout-toolbar" role="toolbar" aria-label="Layout">
+          <label className="canvas-tool-hint" htmlFor="canvas-layout-field">
+            Layout
+          </label>
+          <select
+            id="canvas-layout-field"
+            className="canvas-tool-select"
+            aria-label="Coordinate field"
+            value={displayField}
+            onChange={(event) => onLayoutChange({ displayField: event.target.value })}
+          >
+            {displayFields.map((field) => (
+              <option key={field} value={field}>
+                {formatDisplayField(field)}
+              </option>
+            ))}
+          </select>
+          {LAYOUT_SHAPE_MODES.map((mode) => (
+            <button
+              key={mode.id}
+              type="button"
+              className={`canvas-tool-button${shapeMode === mode.id ? ' is-active' : ''}`}
+              aria-pressed={shapeMode === mode.id}
+              onClick={() => onLayoutChange({ shapeMode: mode.id })}
+            >
+              {mode.label}
+            </button>
+          ))}
+        </div>
+      ) : null}
     </div>
   )
 }
 
+// Keeps the camera and orbit target in step with a controlled view (e.g. from
+// a shared link) and reports user orbits once damping has settled. Views the
+// canvas reported itself are not re-applied, so they never fight the controls.
+function CameraBridge({ cameraRef, controlsRef, cameraView, onCameraChange }) {
+  const camera = useThree((state) => state.camera)
+  const controls = useThree((state) => state.controls)
+  const reportedViewRef = useRef(null)
+  const onCameraChangeRef = useRef(onCameraChange)
+
+  useEffect(() => {
+    onCameraChangeRef.current = onCameraChange
+  }, [onCameraChange])
+
+  useEffect(() => {
+    cameraRef.current = camera
+  }, [camera, cameraRef])
+
+  useEffect(() => {
+    controlsRef.current = controls
+  }, [controls, controlsRef])
+
+  useEffect(() => {
+    if (!cameraView || cameraView === reportedViewRef.current) return
+    camera.position.fromArray(cameraView.position)
+    controls?.target.fromArray(cameraView.target)
+    controls?.update()
+  }, [camera, cameraView, controls])
+
+  useEffect(() => {
+    if (!controls) return undefined
+
+    let timeoutId = null
+    function handleChange() {
+      clearTimeout(timeoutId)
+      timeoutId = setTimeout(() => {
+        const view = { position: camera.position.toArray(), target: controls.target.toArray() }
+        reportedViewRef.current = view
+        onCameraChangeRef.current?.(view)
+      }, CAMERA_REPORT_DELAY_MS)
+    }
+
+    controls.addEventListener('change', handleChange)
+    return () => {
+      clearTimeout(timeoutId)
+      controls.removeEventListener('change', handleChange)
+    }
+  }, [camera, controls])
+
+  return null
+}
+
+// Eases the orbit target onto a focused grain and keeps it pinned there while
+// the group's rotation settles; dropping focus eases the target back to the
+// origin at the distance the user was orbiting from before. The node position
+// is re-projected every frame because the group keeps moving during the tween.
+// With reduced motion every tween completes on its first frame.
+function CameraRig({ groupRef, nodes, focusRequest, resetRequest, reducedMotion }) {
+  const camera = useThree((state) => state.camera)
+  const controls = useThree((state) => state.controls)
+  const tweenRef = useRef(null)
+  const orbitDistanceRef = useRef(null)
+  const endTargetRef = useRef(new THREE.Vector3())
+  const endPositionRef = useRef(new THREE.Vector3())
+  const followDeltaRef = useRef(new THREE.Vector3())
+
+  useEffect(() => {
+    if (!controls) return
+    const isFocusing = focusRequest != null
+    if (!isFocusing && !tweenRef.current && controls.target.equals(ORBIT_ORIGIN)) return
+
+    if (isFocusing && orbitDistanceRef.current == null) {
+      orbitDistanceRef.current = camera.position.distanceTo(controls.target)
+    }
+
+    const direction = camera.position.clone().sub(controls.target)
+    if (direction.lengthSq() === 0) direction.set(0, 0, 1)
+    direction.normalize()
+
+    tweenRef.current = {
+      fromTarget: controls.target.clone(),
+      fromPosition: camera.position.clone(),
+      direction,
+      distance: isFocusing
+        ? FOCUS_DISTANCE
+        : THREE.MathUtils.clamp(orbitDistanceRef.current ?? ORBIT_MIN_DISTANCE, ORBIT_MIN_DISTANCE, ORBIT_MAX_DISTANCE),
+      fixedPosition: null,
+      elapsed: 0
+    }
+
+    if (!isFocusing) orbitDistanceRef.current = null
+  }, [camera, controls, focusRequest])
+
+  useEffect(() => {
+    if (!resetRequest || !controls) return
+
+    orbitDistanceRef.current = null
+    tweenRef.current = {
+      fromTarget: controls.target.clone(),
+      fromPosition: camera.position.clone(),
+      direction: null,
+      distance: 0,
+      fixedPosition: new THREE.Vector3(...DEFAULT_CAMERA_POSITION),
+      elapsed: 0
+    }
+  }, [camera, controls, resetRequest])
+
+  useFrame((_, delta) => {
+    if (!controls) return
+
+    const tween = tweenRef.current
+    controls.minDistance = focusRequest || tween ? FOCUS_MIN_DISTANCE : ORBIT_MIN_DISTANCE
+    if (!tween && !focusRequest) return
+
+    const endTarget = endTargetRef.current
+    const node = focusRequest ? nodes[focusRequest.index] : null
+    if (node && groupRef.current) {
+      const p = node.displayPosition ?? node.position ?? { x: 0, y: 0, z: 0 }
+      endTarget.set(p.x ?? 0, p.y ?? 0, p.z ?? 0).applyMatrix4(groupRef.current.matrixWorld)
+    } else {
+      endTarget.copy(ORBIT_ORIGIN)
+    }
+
+    if (tween) {
+      tween.elapsed += delta
+      const t = reducedMotion ? 1 : Math.min(1, tween.elapsed / FOCUS_TWEEN_SECONDS)
+      const eased = easeInOutCubic(t)
+      const endPosition = tween.fixedPosition
+        ? endPositionRef.current.copy(tween.fixedPosition)
+        : endPositionRef.current.copy(endTarget).addScaledVector(tween.direction, tween.distance)
+
+      controls.target.lerpVectors(tween.fromTarget, endTarget, eased)
+      camera.position.lerpVectors(tween.fromPosition, endPosition, eased)
+      if (t >= 1) tweenRef.current = null
+    } else {
+      const followDelta = followDeltaRef.current.copy(endTarget).sub(controls.target)
+      if (followDelta.lengthSq() < 1e-10) return
+      controls.target.add(followDelta)
+      camera.position.add(followDelta)
+    }
+
+    controls.update()
+  })
+
+  return null
+}
+
+// Owns the in-progress drag shape so pointer moves only re-render the SVG
+// overlay, not the R3F canvas. Listeners run in the capture phase on the
+// shell so a Shift-drag never reaches OrbitControls or R3F's click handling.
+function MarqueeOverlay({ shellRef, tool, onComplete }) {
+  const [shape, setShape] = useState(null)
+  const onCompleteRef = useRef(onComplete)
+
+  useEffect(() => {
+    onCompleteRef.current = onComplete
+  }, [onComplete])
+
+  useEffect(() => {
+    const shell = shellRef.current
+    if (!shell) return undefined
+
+    let drag = null
+    let suppressClick = false
+
+    function toLocalPoint(event) {
+      const rect = shell.getBoundingClientRect()
+      return [event.clientX - rect.left, event.clientY - rect.top]
+    }
+
+    function stopDrag() {
+      drag = null
+      setShape(null)
+      window.removeEventListener('pointermove', handlePointerMove)
+      window.removeEventListener('pointerup', handlePointerUp)
+      window.removeEventListener('pointercancel', stopDrag)
+    }
+
+    function handlePointerDown(event) {
+      suppressClick = false
+      if (!event.shiftKey || event.button !== 0) return
+      if (!(event.target instanceof HTMLCanvasElement)) return
+
+      event.preventDefault()
+      event.stopPropagation()
+
+      drag = { mode: event.altKey ? 'remove' : 'add', points: [toLocalPoint(event)] }
+      setShape({ tool, points: drag.points })
+      window.addEventListener('pointermove', handlePointerMove)
+      window.addEventListener('pointerup', handlePointerUp)
+      window.addEventListener('pointercancel', stopDrag)
+    }
+
+    function handlePointerMove(event) {
+      if (!drag) return
+      const point = toLocalPoint(event)
+
+      if (tool === 'box') {
+        drag.points = [drag.points[0], point]
+      } else {
+        const last = drag.points[drag.points.length - 1]
+        if (Math.hypot(point[0] - last[0], point[1] - last[1]) < LASSO_POINT_SPACING_PX) return
+        drag.points = [...drag.points, point]
+      }
+
+      setShape({ tool, points: drag.points })
+    }
+
+    function handlePointerUp() {
+      const finished = drag
+      stopDrag()
+      if (!finished || getShapeExtent(finished.points) < MARQUEE_MIN_DRAG_PX) return
+
+      suppressClick = true
+      onCompleteRef.current?.({ tool, points: finished.points }, finished.mode)
+    }
+
+    function handleClick(event) {
+      if (!suppressClick) return
+      suppressClick = false
+      event.stopPropagation()
+    }
+
+    shell.addEventListener('pointerdown', handlePointerDown, true)
+    shell.addEventListener('click', handleClick, true)
+
+    return () => {
+      shell.removeEventListener('pointerdown', handlePointerDown, true)
+      shell.removeEventListener('click', handleClick, true)
+      stopDrag()
+    }
+  }, [shellRef, tool])
+
+  if (!shape) return null
+
+  return (
+    <svg className="marquee-overlay" aria-hidden="true">
+      {shape.tool === 'box' ? (
+        <rect {...getBoxRect(shape.points)} />
+      ) : (
+        <polygon points={shape.points.map((point) => point.join(',')).join(' ')} />
+      )}
+    </svg>
+  )
+}
+
 function NetworkObject({
+  groupRef,
   data,
   hoveredIndex,
   selectedIndex,
+  selectionSet,
+  filterMask,
+  filterMode,
+  edgeFilters,
+  nodeColors,
+  sceneLabels,
+  labelElementsRef,
+  figureExportRef,
+  neighbors,
+  pathIndices,
   onHoverChange,
   onSelectIndex,
+  onToggleSelectionMember,
   autoRotate,
   reducedMotion,
   rotationAssistStartedAtRef,
   onRotationAssistTrigger
 }) {
-  const groupRef = useRef(null)
   const crystalMeshRef = useRef(null)
   const rotationFactorRef = useRef(1)
   const wobbleTimeRef = useRef(0)
   const fossilPulseColorRef = useRef(new THREE.Color())
+  const edgeGeometriesRef = useRef([])
+  const renderedPositionsRef = useRef(null)
+  const renderedEdgesRef = useRef(null)
+  const layoutPositionsRef = useRef(null)
+  const morphRef = useRef(null)
+  const [isMorphing, setIsMorphing] = useState(false)
 
   const speciesColorByKey = useMemo(() => {
     return new Map(data.speciesLegend.map((entry) => [entry.species, entry.color?.hex ?? '#111111']))
   }, [data.speciesLegend])
 
+  // The selected grain and its graph neighbors stay at full color; everything
+  // else is dimmed while a selection is active.
+  const neighborhoodMask = useMemo(() => {
+    if (selectedIndex == null) return null
+    const mask = new Uint8Array(data.nodes.length)
+    mask[selectedIndex] = 1
+    for (const neighbor of neighbors) mask[neighbor.index] = 1
+    return mask
+  }, [data.nodes.length, neighbors, selectedIndex])
+
+  const neighborIndices = useMemo(() => neighbors.map((neighbor) => neighbor.index), [neighbors])
+
+  // Dimmed fossils keep their dimmed color instead of pulsing, and the pulse
+  // only belongs to species coloring; other color modes show fossils' values.
   const fossilNodeIndices = useMemo(() => {
+    if (nodeColors) return []
     return data.nodes.reduce((indices, node, index) => {
-      if (node.isFossilPollen) indices.push(index)
+      if (!node.isFossilPollen) return indices
+      if (filterMask && !filterMask[index]) return indices
+      if (neighborhoodMask && !neighborhoodMask[index]) return indices
+      indices.push(index)
       return indices
     }, [])
-  }, [data.nodes])
+  }, [data.nodes, filterMask, neighborhoodMask, nodeColors])
+
+  const edgeSummary = useMemo(() => summarizeEdges(data.edges), [data.edges])
+  const visibleEdges = useMemo(
+    () => partitionVisibleEdges(data.edges, edgeFilters, filterMask),
+    [data.edges, edgeFilters, filterMask]
+  )
+  const knnEdgeEndpoints = useMemo(() => buildEdgeEndpoints(visibleEdges.knn), [visibleEdges])
+  const bridgeEdgeEndpoints = useMemo(() => buildEdgeEndpoints(visibleEdges.bridges), [visibleEdges])
+  const opacityBySimilarity = Boolean(edgeFilters?.opacityBySimilarity)
+
+  // A layout switch keeps the same edges but moves every node. Rather than
+  // jumping, the positions currently on screen are eased toward the new ones;
+  // a freshly loaded package (new edges) is placed directly.
+  useLayoutEffect(() => {
+    if (layoutPositionsRef.current === data.positions) return
+    layoutPositionsRef.current = data.positions
+
+    const rendered = renderedPositionsRef.current
+    const isRelayout = renderedEdgesRef.current === data.edges && rendered?.length === data.positions.length
+    renderedEdgesRef.current = data.edges
+
+    if (!isRelayout || reducedMotion) {
+      renderedPositionsRef.current = data.positions.slice()
+      morphRef.current = null
+      setIsMorphing(false)
+      return
+    }
+
+    morphRef.current = { from: rendered.slice(), to: data.positions, elapsed: 0 }
+    setIsMorphing(true)
+  }, [data.edges, data.positions, reducedMotion])
 
   const baseEdgesGeometry = useMemo(() => {
-    const geometry = new THREE.BufferGeometry()
-    geometry.setAttribute('position', new THREE.BufferAttribute(data.baseEdgePositions, 3))
-    geometry.computeBoundingSphere()
+    const positions = renderedEdgesRef.current === data.edges ? renderedPositionsRef.current : data.positions
+    const geometry = createEdgeGeometry(knnEdgeEndpoints, positions)
+    if (opacityBySimilarity) {
+      geometry.setAttribute(
+        'color',
+        new THREE.BufferAttribute(buildSimilarityEdgeColors(visibleEdges.knn, edgeSummary), 4)
+      )
+    }
+    return geometry
+  }, [data.edges, data.positions, edgeSummary, knnEdgeEndpoints, opacityBySimilarity, visibleEdges])
+
+  const bridgeEdgesGeometry = useMemo(() => {
+    const positions = renderedEdgesRef.current === data.edges ? renderedPositionsRef.current : data.positions
+    const geometry = createEdgeGeometry(bridgeEdgeEndpoints, positions)
+    writeLineDistances(geometry)
     return geometry
-  }, [data.baseEdgePositions])
+  }, [bridgeEdgeEndpoints, data.edges, data.positions])
+
+  useEffect(() => {
+    edgeGeometriesRef.current = [
+      { geometry: baseEdgesGeometry, endpoints: knnEdgeEndpoints, dashed: false },
+      { geometry: bridgeEdgesGeometry, endpoints: bridgeEdgeEndpoints, dashed: true }
+    ]
+  }, [baseEdgesGeometry, bridgeEdgeEndpoints, bridgeEdgesGeometry, knnEdgeEndpoints])
 
   useLayoutEffect(() => {
     const mesh = crystalMeshRef.current
@@ -120,32 +807,40 @@ function NetworkObject({
 
     const tempObject = new THREE.Object3D()
     const tempColor = new THREE.Color()
+    const positions = renderedPositionsRef.current ?? data.positions
+    const colors = nodeColors ?? data.colors
 
     for (let index = 0; index < data.nodes.length; index += 1) {
       const node = data.nodes[index]
-      const p = node.displayPosition ?? node.position ?? { x: 0, y: 0, z: 0 }
+      const p = index * 3
 
       const seedA = fract(Math.sin((node.id + 1) * 12.9898) * 43758.5453)
       const seedB = fract(Math.sin((node.id + 1) * 78.233) * 12345.6789)
       const seedC = fract(Math.sin((node.id + 1) * 31.4159) * 98765.4321)
 
-      const scale = 0.012 + seedA * 0.008
+      const isFilteredOut = Boolean(filterMask && !filterMask[index])
+      const scale = isFilteredOut && filterMode === 'hide' ? 0 : 0.012 + seedA * 0.008
 
-      tempObject.position.set(p.x ?? 0, p.y ?? 0, p.z ?? 0)
+      tempObject.position.set(positions[p], positions[p + 1], positions[p + 2])
       tempObject.rotation.set(seedA * Math.PI, seedB * Math.PI, seedC * Math.PI)
       tempObject.scale.setScalar(scale)
       tempObject.updateMatrix()
       mesh.setMatrixAt(index, tempObject.matrix)
 
       const o = index * 3
-      tempColor.setRGB(data.colors[o] ?? 0.07, data.colors[o + 1] ?? 0.07, data.colors[o + 2] ?? 0.07)
+      tempColor.setRGB(colors[o] ?? 0.07, colors[o + 1] ?? 0.07, colors[o + 2] ?? 0.07)
+      if (isFilteredOut) {
+        tempColor.lerp(SCENE_BACKGROUND, FILTER_DIM_AMOUNT)
+      } else if (neighborhoodMask && !neighborhoodMask[index]) {
+        tempColor.lerp(SCENE_BACKGROUND, NEIGHBORHOOD_DIM_AMOUNT)
+      }
       mesh.setColorAt(index, tempColor)
     }
 
     mesh.instanceMatrix.needsUpdate = true
     if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true
     mesh.computeBoundingSphere?.()
-  }, [data.colors, data.nodes])
+  }, [data.colors, data.nodes, data.positions, filterMask, filterMode, neighborhoodMask, nodeColors])
 
   useEffect(() => {
     return () => {
@@ -153,6 +848,12 @@ function NetworkObject({
     }
   }, [baseEdgesGeometry])
 
+  useEffect(() => {
+    return () => {
+      bridgeEdgesGeometry.dispose()
+    }
+  }, [bridgeEdgesGeometry])
+
   useFrame((state, delta) => {
     if (!groupRef.current) return
 
@@ -171,6 +872,43 @@ function NetworkObject({
     groupRef.current.rotation.x = 0.36 + Math.sin(wobbleT * 0.12) * 0.07
     groupRef.current.rotation.z = 0.08 + Math.cos(wobbleT * 0.09) * 0.035
 
+    const morph = morphRef.current
+    if (morph && crystalMeshRef.current) {
+      morph.elapsed += delta
+      const t = Math.min(1, morph.elapsed / LAYOUT_MORPH_SECONDS)
+      const eased = easeInOutCubic(t)
+      const rendered = renderedPositionsRef.current
+      const mesh = crystalMeshRef.current
+      const matrices = mesh.instanceMatrix.array
+
+      // Only the translation column of each instance matrix changes; rotation
+      // and scale were baked in by the layout effect above.
+      for (let index = 0; index < rendered.length / 3; index += 1) {
+        const p = index * 3
+        const m = index * 16 + 12
+        for (let axis = 0; axis < 3; axis += 1) {
+          const value = morph.from[p + axis] + (morph.to[p + axis] - morph.from[p + axis]) * eased
+          rendered[p + axis] = value
+          matrices[m + axis] = value
+        }
+      }
+      mesh.instanceMatrix.needsUpdate = true
+
+      for (const { geometry, endpoints, dashed } of edgeGeometriesRef.current) {
+        const edgeAttribute = geometry.getAttribute('position')
+        writeEdgePositions(edgeAttribute.array, endpoints, rendered)
+        edgeAttribute.needsUpdate = true
+        if (dashed) writeLineDistances(geometry)
+      }
+
+      if (t >= 1) {
+        morphRef.current = null
+        mesh.computeBoundingSphere?.()
+        for (const { geometry } of edgeGeometriesRef.current) geometry.computeBoundingSphere()
+        setIsMorphing(false)
+      }
+    }
+
     if (fossilNodeIndices.length > 0 && crystalMeshRef.current) {
       const mesh = crystalMeshRef.current
       const pulse = reducedMotion ? 1 : 0.5 + Math.sin(state.clock.elapsedTime * 2.8) * 0.5
@@ -189,9 +927,31 @@ function NetworkObject({
 
   return (
     <group ref={groupRef} scale={GRAPH_SCALE}>
+      {/* Similarity-mapped alpha spreads the same ink over fewer edges, so
+          the base opacity doubles to keep the overall density comparable. */}
       <lineSegments geometry={baseEdgesGeometry}>
-        <lineBasicMaterial color="#111111" transparent opacity={0.055} depthWrite={false} />
+        <lineBasicMaterial
+          key={opacityBySimilarity ? 'by-similarity' : 'flat'}
+          color={opacityBySimilarity ? '#ffffff' : '#111111'}
+          vertexColors={opacityBySimilarity}
+          transparent
+          opacity={(neighborhoodMask ? 0.025 : 0.055) * (opacityBySimilarity ? 2 : 1)}
+          depthWrite={false}
+        />
       </lineSegments>
+      <lineSegments geometry={bridgeEdgesGeometry}>
+        <lineDashedMaterial
+          color={BRIDGE_EDGE_COLOR}
+          dashSize={0.025}
+          gapSize={0.018}
+          transparent
+          opacity={neighborhoodMask ? 0.18 : 0.42}
+          depthWrite={false}
+        />
+      </lineSegments>
+
+      {selectedNode && !isMorphing ? <NeighborhoodEdges selectedNode={selectedNode} neighbors={neighbors} /> : null}
+      {!isMorphing ? <PathPolyline nodes={data.nodes} indices={pathIndices} /> : null}
 
       <instancedMesh
         ref={crystalMeshRef}
@@ -213,6 +973,11 @@ function NetworkObject({
         onClick={(event) => {
           event.stopPropagation()
           if (event.instanceId == null) return
+          const sourceEvent = event.nativeEvent ?? event
+          if ((sourceEvent.ctrlKey || sourceEvent.metaKey) && onToggleSelectionMember) {
+            onToggleSelectionMember(event.instanceId)
+            return
+          }
           onRotationAssistTrigger()
           onSelectIndex(event.instanceId)
         }}
@@ -226,7 +991,32 @@ function NetworkObject({
         />
       </instancedMesh>
 
-      {hoveredNode ? (
+      {/* Overlays sit at final positions, so they wait out a layout morph. */}
+      {!isMorphing ? (
+        <>
+          <InstanceMarkers nodes={data.nodes} indices={neighborIndices} color="#111111" scale={0.022} opacity={0.5} />
+          <InstanceMarkers nodes={data.nodes} indices={selectionSet} color="#f21f2f" scale={0.026} opacity={0.72} />
+          <InstanceMarkers nodes={data.nodes} indices={pathIndices} color="#f21f2f" scale={0.03} opacity={0.9} />
+        </>
+      ) : null}
+      <FigureExportBridge
+        exportRef={figureExportRef}
+        groupRef={groupRef}
+        nodes={data.nodes}
+        colors={nodeColors ?? data.colors}
+        filterMask={filterMask}
+        filterMode={filterMode}
+        visibleEdges={visibleEdges}
+      />
+      <SceneLabelProjector
+        groupRef={groupRef}
+        nodes={data.nodes}
+        labels={sceneLabels}
+        elementsRef={labelElementsRef}
+        isHidden={isMorphing}
+      />
+
+      {hoveredNode && !isMorphing ? (
         <NodeMarker
           node={hoveredNode}
           color={speciesColorByKey.get(hoveredNode.displaySpecies ?? hoveredNode.species) ?? '#111111'}
@@ -236,7 +1026,7 @@ function NetworkObject({
         />
       ) : null}
 
-      {selectedNode ? (
+      {selectedNode && !isMorphing ? (
         <NodeMarker
           node={selectedNode}
           color={speciesColorByKey.get(selectedNode.displaySpecies ?? selectedNode.species) ?? '#111111'}
@@ -278,6 +1068,480 @@ function NodeMarker({ node, color, scale, opacity, wireOpacity }) {
   )
 }
 
+// Incident edges of the selected grain, drawn on top of the dimmed cloud. Color
+// strength follows similarity relative to the rest of the neighborhood and the
+// rank-1 neighbor is drawn in the accent red.
+function NeighborhoodEdges({ selectedNode, neighbors }) {
+  const geometry = useMemo(() => {
+    if (!neighbors.length) return null
+
+    const positions = new Float32Array(neighbors.length * 6)
+    const colors = new Float32Array(neighbors.length * 6)
+    const similarities = neighbors.map((neighbor) => neighbor.similarity).filter(Number.isFinite)
+    const minSimilarity = Math.min(...similarities)
+    const similarityRange = Math.max(...similarities) - minSimilarity || 1
+    const from = selectedNode.displayPosition ?? { x: 0, y: 0, z: 0 }
+    const color = new THREE.Color()
+
+    neighbors.forEach((neighbor, index) => {
+      const to = neighbor.node?.displayPosition ?? { x: 0, y: 0, z: 0 }
+      const o = index * 6
+      positions.set([from.x ?? 0, from.y ?? 0, from.z ?? 0, to.x ?? 0, to.y ?? 0, to.z ?? 0], o)
+
+      const strength = Number.isFinite(neighbor.similarity)
+        ? 0.35 + 0.65 * ((neighbor.similarity - minSimilarity) / similarityRange)
+        : 0.35
+      color
+        .copy(neighbor.rankHint === 1 ? NEIGHBOR_EDGE_TOP_RANK : NEIGHBOR_EDGE_INK)
+        .lerp(SCENE_BACKGROUND, 1 - strength)
+      colors.set([color.r, color.g, color.b, color.r, color.g, color.b], o)
+    })
+
+    const nextGeometry = new THREE.BufferGeometry()
+    nextGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3))
+    nextGeometry.setAttribute('color', new THREE.BufferAttribute(colors, 3))
+    nextGeometry.computeBoundingSphere()
+    return nextGeometry
+  }, [neighbors, selectedNode])
+
+  useEffect(() => {
+    return () => {
+      geometry?.dispose()
+    }
+  }, [geometry])
+
+  if (!geometry) return null
+
+  return (
+    <lineSegments geometry={geometry} renderOrder={3}>
+      <lineBasicMaterial vertexColors transparent opacity={0.9} depthTest={false} depthWrite={false} />
+    </lineSegments>
+  )
+}
+
+function PathPolyline({ nodes, indices }) {
+  const geometry = useMemo(() => {
+    if (indices.length < 2) return null
+
+    const positions = new Float32Array((indices.length - 1) * 6)
+    for (let step = 1; step < indices.length; step += 1) {
+      const from = nodes[indices[step - 1]]?.displayPosition ?? { x: 0, y: 0, z: 0 }
+      const to = nodes[indices[step]]?.displayPosition ?? { x: 0, y: 0, z: 0 }
+      positions.set([from.x ?? 0, from.y ?? 0, from.z ?? 0, to.x ?? 0, to.y ?? 0, to.z ?? 0], (step - 1) * 6)
+    }
+
+    const nextGeometry = new THREE.BufferGeometry()
+    nextGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3))
+    nextGeometry.computeBoundingSphere()
+    return nextGeometry
+  }, [indices, nodes])
+
+  useEffect(() => {
+    return () => {
+      geometry?.dispose()
+    }
+  }, [geometry])
+
+  if (!geometry) return null
+
+  return (
+    <lineSegments geometry={geometry} renderOrder={4}>
+      <lineBasicMaterial color="#f21f2f" transparent opacity={0.95} depthTest={false} depthWrite={false} />
+    </lineSegments>
+  )
+}
+
+// Figure export needs the live renderer, scene and camera, so it is exposed
+// from inside the Canvas through exportRef.
+function FigureExportBridge({ exportRef, groupRef, nodes, colors, filterMask, filterMode, visibleEdges }) {
+  const gl = useThree((state) => state.gl)
+  const scene = useThree((state) => state.scene)
+  const camera = useThree((state) => state.camera)
+
+  useEffect(() => {
+    // PNG: re-render the live scene once at a higher pixel ratio and copy the
+    // drawing buffer out in the same task, before the browser clears it.
+    // Screen-identical output (tone mapping, fog, markers) at any scale. The
+    // scale is capped by the GPU's texture, viewport and renderbuffer limits;
+    // if the browser still allocates a smaller drawing buffer than asked for
+    // (it may, under memory pressure) the export fails rather than upscaling.
+    async function renderPng({ scale, background, legend }) {
+      const context = gl.getContext()
+      const size = gl.getSize(new THREE.Vector2())
+      const pixelRatio = gl.getPixelRatio()
+      const sceneBackground = scene.background
+      const clearColor = gl.getClearColor(new THREE.Color())
+      const clearAlpha = gl.getClearAlpha()
+      const [maxViewportWidth, maxViewportHeight] = context.getParameter(context.MAX_VIEWPORT_DIMS)
+      const maxRenderbufferSize = context.getParameter(context.MAX_RENDERBUFFER_SIZE)
+      const maxBufferSize = Math.min(gl.capabilities.maxTextureSize, maxRenderbufferSize)
+      const appliedScale = Math.min(
+        scale,
+        Math.min(maxBufferSize, maxViewportWidth) / size.x,
+        Math.min(maxBufferSize, maxViewportHeight) / size.y
+      )
+      const output = document.createElement('canvas')
+
+      try {
+        gl.setPixelRatio(appliedScale)
+        gl.setSize(size.x, size.y, false)
+        const { width, height } = gl.domElement
+        if (context.drawingBufferWidth < width || context.drawingBufferHeight < height) {
+          throw new Error(
+            `The browser only allocated ${context.drawingBufferWidth} × ${context.drawingBufferHeight} ` +
+              `of ${width} × ${height} pixels; try a smaller scale.`
+          )
+        }
+        if (background === 'transparent') {
+          scene.background = null
+          gl.setClearColor(0x000000, 0)
+        }
+        gl.render(scene, camera)
+        output.width = width
+        output.height = height
+        output.getContext('2d').drawImage(gl.domElement, 0, 0)
+      } finally {
+        scene.background = sceneBackground
+        gl.setClearColor(clearColor, clearAlpha)
+        gl.setPixelRatio(pixelRatio)
+        gl.setSize(size.x, size.y, false)
+        gl.render(scene, camera)
+      }
+
+      drawFigureLegend(output.getContext('2d'), legend, { scale: output.width / size.x })
+      return {
+        blob: await canvasToBlob(output),
+        width: output.width,
+        height: output.height,
+        cappedScale: appliedScale < scale ? appliedScale : null
+      }
+    }
+
+    // SVG: the same view flattened orthographically. Camera-space x/y become
+    // the plot, camera-space depth orders the grains.
+    function buildSvg({ background, legend }) {
+      const group = groupRef.current
+      if (!group) throw new Error('The scene is not ready yet.')
+      group.updateMatrixWorld()
+      camera.updateMatrixWorld()
+      const toCamera = new THREE.Matrix4().multiplyMatrices(camera.matrixWorldInverse, group.matrixWorld)
+      const point = new THREE.Vector3()
+      const projected = nodes.map((node) => {
+        const p = node.displayPosition ?? node.position
+        point.set(p?.x ?? 0, p?.y ?? 0, p?.z ?? 0).applyMatrix4(toCamera)
+        return { x: point.x, y: -point.y, depth: point.z }
+      })
+
+      const points = []
+      projected.forEach((entry, index) => {
+        const isFilteredOut = Boolean(filterMask && !filterMask[index])
+        if (isFilteredOut && filterMode === 'hide') return
+        const o = index * 3
+        points.push({
+          ...entry,
+          color: rgb01ToHex(colors[o], colors[o + 1], colors[o + 2]),
+          opacity: isFilteredOut ? 0.18 : 1
+        })
+      })
+      const toSegment = (edge) => {
+        const source = projected[edge.sourceIndex]
+        const target = projected[edge.targetIndex]
+        return [source.x, source.y, target.x, target.y]
+      }
+
+      return buildFigureSvg({
+        points,
+        knnSegments: visibleEdges.knn.map(toSegment),
+        bridgeSegments: visibleEdges.bridges.map(toSegment),
+        background,
+        legend
+      })
+    }
+
+    exportRef.current = { renderPng, buildSvg }
+    return () => {
+      exportRef.current = null
+    }
+  }, [camera, colors, exportRef, filterMask, filterMode, gl, groupRef, nodes, scene, visibleEdges])
+
+  return null
+}
+
+// Pins the DOM label layer to each label's centroid every frame. Labels are
+// placed largest group first and skipped where they would overlap one
+// already placed; the rest fade with depth so the near side reads first.
+function SceneLabelProjector({ groupRef, nodes, labels, elementsRef, isHidden }) {
+  const projectedRef = useRef(new THREE.Vector3())
+  const anchors = useMemo(
+    () =>
+      labels
+        .flatMap((label) => {
+          const centroid = new THREE.Vector3()
+          let count = 0
+          for (const index of label.indices) {
+            const p = nodes[index]?.displayPosition ?? nodes[index]?.position
+            if (!p) continue
+            centroid.x += p.x
+            centroid.y += p.y
+            centroid.z += p.z
+            count += 1
+          }
+          return count ? [{ key: label.key, priority: label.priority, centroid: centroid.divideScalar(count) }] : []
+        })
+        .sort((a, b) => b.priority - a.priority),
+    [labels, nodes]
+  )
+
+  useFrame((state) => {
+    const group = groupRef.current
+    if (!anchors.length || !group) return
+
+    const { camera, size } = state
+    const projected = projectedRef.current
+    const entries = []
+    let nearest = Infinity
+    let farthest = -Infinity
+
+    for (const anchor of anchors) {
+      const element = elementsRef.current.get(anchor.key)
+      if (!element) continue
+      projected.copy(anchor.centroid).applyMatrix4(group.matrixWorld)
+      const distance = projected.distanceTo(camera.position)
+      projected.project(camera)
+      const isOnScreen = !isHidden && projected.z < 1 && Math.abs(projected.x) <= 1 && Math.abs(projected.y) <= 1
+      if (isOnScreen) {
+        nearest = Math.min(nearest, distance)
+        farthest = Math.max(farthest, distance)
+      }
+      entries.push({
+        element,
+        distance,
+        isOnScreen,
+        x: ((projected.x + 1) / 2) * size.width,
+        y: ((1 - projected.y) / 2) * size.height
+      })
+    }
+
+    const depthSpan = farthest - nearest || 1
+    const placed = []
+    for (const entry of entries) {
+      const { element, x, y } = entry
+      let opacity = 0
+      if (entry.isOnScreen) {
+        const halfWidth = element.offsetWidth / 2 + SCENE_LABEL_GAP_PX
+        const halfHeight = element.offsetHeight / 2 + SCENE_LABEL_GAP_PX
+        const overlaps = placed.some(
+          (rect) =>
+            Math.abs(rect.x - x) < rect.halfWidth + halfWidth && Math.abs(rect.y - y) < rect.halfHeight + halfHeight
+        )
+        if (!overlaps) {
+          placed.push({ x, y, halfWidth, halfHeight })
+          const depthFade = 1 - (SCENE_LABEL_DEPTH_FADE * (entry.distance - nearest)) / depthSpan
+          const nearFade = THREE.MathUtils.clamp(
+            (entry.distance - SCENE_LABEL_NEAR_FADE_END) / (SCENE_LABEL_NEAR_FADE_START - SCENE_LABEL_NEAR_FADE_END),
+            0,
+            1
+          )
+          opacity = depthFade * nearFade
+        }
+      }
+      element.style.opacity = opacity.toFixed(3)
+      element.style.transform = `translate(${x.toFixed(1)}px, ${y.toFixed(1)}px) translate(-50%, -50%)`
+    }
+  })
+
+  return null
+}
+
+function InstanceMarkers({ nodes, indices, color, scale, opacity }) {
+  const meshRef = useRef(null)
+
+  useLayoutEffect(() => {
+    const mesh = meshRef.current
+    if (!mesh) return
+
+    const tempObject = new THREE.Object3D()
+    indices.forEach((nodeIndex, instanceIndex) => {
+      const p = nodes[nodeIndex]?.displayPosition ?? { x: 0, y: 0, z: 0 }
+      tempObject.position.set(p.x ?? 0, p.y ?? 0, p.z ?? 0)
+      tempObject.rotation.set(0.6, 0.6, 0)
+      tempObject.scale.setScalar(scale)
+      tempObject.updateMatrix()
+      mesh.setMatrixAt(instanceIndex, tempObject.matrix)
+    })
+
+    mesh.instanceMatrix.needsUpdate = true
+    mesh.computeBoundingSphere?.()
+  }, [indices, nodes, scale])
+
+  if (!indices.length) return null
+
+  return (
+    <instancedMesh key={indices.length} ref={meshRef} args={[null, null, indices.length]} renderOrder={4}>
+      <octahedronGeometry args={[1, 0]} />
+      <meshBasicMaterial
+        color={color}
+        wireframe
+        transparent
+        opacity={opacity}
+        depthTest={false}
+        depthWrite={false}
+      />
+    </instancedMesh>
+  )
+}
+
+// Flat [source, target, source, target, ...] node indices of already
+// filtered edges, so edge geometry can be rewritten from any positions.
+function buildEdgeEndpoints(edges) {
+  const endpoints = new Uint32Array(edges.length * 2)
+  edges.forEach((edge, index) => {
+    endpoints[index * 2] = edge.sourceIndex
+    endpoints[index * 2 + 1] = edge.targetIndex
+  })
+  return endpoints
+}
+
+function createEdgeGeometry(endpoints, positions) {
+  const geometry = new THREE.BufferGeometry()
+  geometry.setAttribute(
+    'position',
+    new THREE.BufferAttribute(writeEdgePositions(new Float32Array(endpoints.length * 3), endpoints, positions), 3)
+  )
+  geometry.computeBoundingSphere()
+  return geometry
+}
+
+// RGBA per vertex: ink color, alpha eased from the weakest to the strongest
+// similarity in the package so near-duplicates stand out.
+function buildSimilarityEdgeColors(edges, summary) {
+  const colors = new Float32Array(edges.length * 8)
+  const low = summary.minSimilarity ?? 0
+  const span = Math.max((summary.maxSimilarity ?? 1) - low, 1e-6)
+
+  edges.forEach((edge, index) => {
+    const similarity = Number(edge.similarity)
+    const t = Number.isFinite(similarity) ? THREE.MathUtils.clamp((similarity - low) / span, 0, 1) : 0
+    const alpha = EDGE_MIN_SIMILARITY_ALPHA + (1 - EDGE_MIN_SIMILARITY_ALPHA) * t * t
+    for (let vertex = 0; vertex < 2; vertex += 1) {
+      const o = index * 8 + vertex * 4
+      colors[o] = EDGE_INK_RGB[0]
+      colors[o + 1] = EDGE_INK_RGB[1]
+      colors[o + 2] = EDGE_INK_RGB[2]
+      colors[o + 3] = alpha
+    }
+  })
+
+  return colors
+}
+
+// Same per-segment distances LineSegments.computeLineDistances writes, kept
+// on the geometry so dashes can be refreshed while a layout morphs.
+function writeLineDistances(geometry) {
+  const positions = geometry.getAttribute('position').array
+  let attribute = geometry.getAttribute('lineDistance')
+  if (!attribute || attribute.count !== positions.length / 3) {
+    attribute = new THREE.BufferAttribute(new Float32Array(positions.length / 3), 1)
+    geometry.setAttribute('lineDistance', attribute)
+  }
+
+  for (let vertex = 0; vertex < attribute.count; vertex += 2) {
+    const o = vertex * 3
+    attribute.array[vertex] = 0
+    attribute.array[vertex + 1] = Math.hypot(
+      positions[o + 3] - positions[o],
+      positions[o + 4] - positions[o + 1],
+      positions[o + 5] - positions[o + 2]
+    )
+  }
+  attribute.needsUpdate = true
+}
+
+function writeEdgePositions(target, endpoints, positions) {
+  for (let vertex = 0; vertex < endpoints.length; vertex += 1) {
+    const from = endpoints[vertex] * 3
+    const to = vertex * 3
+    target[to] = positions[from]
+    target[to + 1] = positions[from + 1]
+    target[to + 2] = positions[from + 2]
+  }
+  return target
+}
+
+// Keyboard orbit around the current controls target; polar angle stays just
+// short of the poles, where OrbitControls would flip.
+function orbitCamera(camera, controls, azimuth, polar) {
+  const offset = camera.position.clone().sub(controls.target)
+  const spherical = new THREE.Spherical().setFromVector3(offset)
+  spherical.theta -= azimuth
+  spherical.phi = THREE.MathUtils.clamp(
+    spherical.phi + polar,
+    KEYBOARD_POLAR_MARGIN,
+    Math.PI - KEYBOARD_POLAR_MARGIN
+  )
+  camera.position.copy(controls.target).add(offset.setFromSpherical(spherical))
+  controls.update()
+}
+
+function zoomCamera(camera, controls, factor) {
+  const offset = camera.position.clone().sub(controls.target)
+  const distance = THREE.MathUtils.clamp(offset.length() * factor, controls.minDistance, controls.maxDistance)
+  camera.position.copy(controls.target).add(offset.setLength(distance))
+  controls.update()
+}
+
+function formatDisplayField(field) {
+  const suffix = String(field).replace(/^position_?/, '')
+  if (!suffix) return 'Default'
+  return suffix === 'tsne' ? 't-SNE' : suffix.charAt(0).toUpperCase() + suffix.slice(1)
+}
+
+function getShapeExtent(points) {
+  if (points.length < 2) return 0
+
+  let minX = Infinity
+  let minY = Infinity
+  let maxX = -Infinity
+  let maxY = -Infinity
+  for (const [x, y] of points) {
+    minX = Math.min(minX, x)
+    minY = Math.min(minY, y)
+    maxX = Math.max(maxX, x)
+    maxY = Math.max(maxY, y)
+  }
+
+  return Math.max(maxX - minX, maxY - minY)
+}
+
+function getBoxRect(points) {
+  const [start, end = start] = points
+  return {
+    x: Math.min(start[0], end[0]),
+    y: Math.min(start[1], end[1]),
+    width: Math.abs(end[0] - start[0]),
+    height: Math.abs(end[1] - start[1])
+  }
+}
+
+function isPointInShape(x, y, shape) {
+  if (shape.tool === 'box') {
+    const rect = getBoxRect(shape.points)
+    return x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height
+  }
+
+  // Even-odd ray casting; the lasso path is implicitly closed.
+  const points = shape.points
+  let inside = false
+  for (let i = 0, j = points.length - 1; i < points.length; j = i, i += 1) {
+    const [xi, yi] = points[i]
+    const [xj, yj] = points[j]
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside
+    }
+  }
+  return inside
+}
+
 function fract(value) {
   return value - Math.floor(value)
 }
@@ -0,0 +1,108 @@
+import { formatSimilarity, prettifySpecies } from '../lib/nodeDisplay'
+
+const PATH_ENDPOINTS = [
+  { role: 'source', label: 'Source' },
+  { role: 'target', label: 'Target' }
+]
+
+export default function PathExplorerPanel({
+  data,
+  path,
+  sourceIndex,
+  targetIndex,
+  selectedIndex,
+  onSelectIndex,
+  onSetEndpoint,
+  onSwap,
+  onClear
+}) {
+  if (!data || (sourceIndex == null && targetIndex == null)) return null
+
+  const endpointIndexByRole = { source: sourceIndex, target: targetIndex }
+  const hasBothEndpoints = sourceIndex != null && targetIndex != null
+
+  return (
+    <section className="floating-panel path-panel" aria-label="Similarity path explorer">
+      <div className="query-header">
+        <div>
+          <div className="mono-label">Similarity Path</div>
+          <div className="query-subtitle">Cheapest route by 1 - similarity over kNN and bridge edges</div>
+        </div>
+        <button className="query-close" type="button" onClick={onClear}>
+          Clear
+        </button>
+      </div>
+
+      <div className="path-endpoints">
+        {PATH_ENDPOINTS.map(({ role, label }) => {
+          const index = endpointIndexByRole[role]
+          const node = index == null ? null : data.nodes[index]
+          return (
+            <div key={role} className="path-endpoint">
+              <span className="detail-key">{label}</span>
+              {node ? (
+                <button type="button" className="path-endpoint-node" onClick={() => onSelectIndex(index)}>
+                  <span className="leaderboard-species">{prettifySpecies(node.displaySpecies ?? node.species)}</span>
+                  <span className="leaderboard-file">{node.filename}</span>
+                </button>
+              ) : (
+                <span className="leaderboard-file">Not set</span>
+              )}
+              <button
+                type="button"
+                className="rail-action"
+                disabled={selectedIndex == null || selectedIndex === index}
+                onClick={() => onSetEndpoint(role, selectedIndex)}
+              >
+                Use Selected
+              </button>
+            </div>
+          )
+        })}
+        <button type="button" className="rail-action path-swap" disabled={!hasBothEndpoints} onClick={onSwap}>
+          Swap
+        </button>
+      </div>
+
+      {hasBothEndpoints && !path ? (
+        <div className="query-empty-state">These grains are not connected in the exported graph.</div>
+      ) : null}
+
+      {path ? (
+        <>
+          <div className="query-preview-meta path-summary">
+            {path.hops.length} hops | cost {path.totalCost.toFixed(3)} | weakest link{' '}
+            {formatSimilarity(path.weakestSimilarity)}
+          </div>
+          <ol className="path-steps" aria-label="Path steps">
+            {path.indices.map((index, step) => {
+              const node = data.nodes[index]
+              const hop = step > 0 ? path.hops[step - 1] : null
+              return (
+                <li key={`${step}-${node.id}`}>
+                  <button
+                    type="button"
+                    className={`path-step${index === selectedIndex ? ' is-selected' : ''}`}
+                    onClick={() => onSelectIndex(index)}
+                  >
+                    <span className="leaderboard-rank">{step}</span>
+                    <span className="leaderboard-main">
+                      <span className="leaderboard-species">
+                        {prettifySpecies(node.displaySpecies ?? node.species)}
+                      </span>
+                      <span className="leaderboard-file">{node.filename}</span>
+                    </span>
+                    <span className="neighbor-meta">
+                      <span className="leaderboard-score">{hop ? formatSimilarity(hop.similarity) : 'start'}</span>
+                      {hop && hop.edgeKind !== 'knn' ? <span className="neighbor-rank">bridge</span> : null}
+                    </span>
+                  </button>
+                </li>
+              )
+            })}
+          </ol>
+        </>
+      ) : null}
+    </section>
+  )
+}
@@ -0,0 +1,105 @@
+import { useMemo } from 'react'
+import { prettifySpecies } from '../lib/nodeDisplay'
+
+export default function SelectionSetPanel({
+  data,
+  indices,
+  selectedIndex,
+  onSelectIndex,
+  onRemoveIndex,
+  onAddIndex,
+  onClear
+}) {
+  const speciesCounts = useMemo(() => {
+    if (!data) return []
+
+    const countsBySpecies = new Map()
+    for (const index of indices) {
+      const node = data.nodes[index]
+      if (!node) continue
+      const key = node.displaySpecies ?? node.species
+      countsBySpecies.set(key, (countsBySpecies.get(key) ?? 0) + 1)
+    }
+
+    const colorBySpecies = new Map(data.speciesLegend.map((entry) => [entry.species, entry.color?.hex]))
+    return [...countsBySpecies.entries()]
+      .map(([species, count]) => ({
+        species,
+        count,
+        label: prettifySpecies(species),
+        color: colorBySpecies.get(species) ?? '#111111'
+      }))
+      .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label))
+  }, [data, indices])
+
+  if (!data || (!indices.length && selectedIndex == null)) return null
+
+  const canAddSelected = selectedIndex != null && !indices.includes(selectedIndex)
+
+  return (
+    <section className="floating-panel selection-set-panel" aria-label="Selection set">
+      <div className="query-header">
+        <div>
+          <div className="mono-label">Selection Set</div>
+          <div className="query-subtitle">
+            {indices.length
+              ? `${indices.length} grains | ${speciesCounts.length} groups`
+              : 'Shift-drag in the graph or add the selected grain'}
+          </div>
+        </div>
+        {indices.length ? (
+          <button className="query-close" type="button" onClick={onClear}>
+            Clear
+          </button>
+        ) : null}
+      </div>
+
+      {canAddSelected ? (
+        <button className="ghost-button selection-add-button" type="button" onClick={() => onAddIndex(selectedIndex)}>
+          Add Selected Grain
+        </button>
+      ) : null}
+
+      {speciesCounts.length ? (
+        <div className="selection-species-list">
+          {speciesCounts.map((entry) => (
+            <div key={entry.species} className="selection-species-row">
+              <span className="species-dot" style={{ backgroundColor: entry.color }} aria-hidden="true" />
+              <span className="selection-species-name">{entry.label}</span>
+              <span className="species-count">{entry.count}</span>
+            </div>
+          ))}
+        </div>
+      ) : null}
+
+      {indices.length ? (
+        <div className="selection-grain-list" role="list" aria-label="Selected grains">
+          {indices.map((index) => {
+            const node = data.nodes[index]
+            if (!node) return null
+            return (
+              <div
+                key={node.id}
+                role="listitem"
+                className={`selection-grain-row${index === selectedIndex ? ' is-selected' : ''}`}
+              >
+                <button type="button" className="selection-grain-main" onClick={() => onSelectIndex(index)}>
+                  <span className="leaderboard-species">{prettifySpecies(node.displaySpecies ?? node.species)}</span>
+                  <span className="leaderboard-file">{node.filename}</span>
+                </button>
+                <button
+                  type="button"
+                  className="selection-grain-remove"
+                  aria-label={`Remove ${node.filename} from selection set`}
+                  onClick={() => onRemoveIndex(index)}
+                >
+                  &times;
+                </button>
+              </div>
+            )
+          })}
+        </div>
+      ) : null}
+    </section>
+  )
+}
@@ -0,0 +1,138 @@
+import { useMemo, useState } from 'react'
+import { computeSpeciesStats } from '../lib/speciesStats'
+import { formatPercent, formatSimilarity } from '../lib/nodeDisplay'
+
+const STAT_COLUMNS = [
+  { key: 'label', label: 'Species', getValue: (stats) => stats.label },
+  { key: 'count', label: 'Grains', getValue: (stats) => stats.count },
+  { key: 'cropSizes', label: 'Crop Sizes', getValue: null },
+  { key: 'meanIntraSimilarity', label: 'Intra Sim', getValue: (stats) => stats.meanIntraSimilarity },
+  { key: 'withinFraction', label: 'kNN Within', getValue: (stats) => stats.withinFraction },
+  { key: 'topNeighborSpecies', label: 'Closest Species', getValue: (stats) => stats.topNeighborSpecies?.share }
+]
+
+export default function SpeciesStatsView({ data }) {
+  const [sort, setSort] = useState({ key: 'withinFraction', descending: true })
+  const stats = useMemo(() => computeSpeciesStats(data), [data])
+  const cropSizeOrder = useMemo(() => (data?.cropSizeLegend ?? []).map((entry) => entry.cropSize), [data])
+
+  const sortedStats = useMemo(() => {
+    const column = STAT_COLUMNS.find((entry) => entry.key === sort.key)
+    if (!column?.getValue) return stats
+    const direction = sort.descending ? -1 : 1
+    return [...stats].sort((a, b) => {
+      const aValue = column.getValue(a)
+      const bValue = column.getValue(b)
+      // Missing values stay at the bottom in either direction.
+      if (aValue == null || bValue == null) return compareValues(aValue, bValue)
+      return compareValues(aValue, bValue) * direction
+    })
+  }, [sort, stats])
+
+  function handleSort(key) {
+    setSort((previous) =>
+      previous.key === key ? { key, descending: !previous.descending } : { key, descending: key !== 'label' }
+    )
+  }
+
+  return (
+    <div className="species-stats">
+      <div className="query-subtitle">
+        kNN edges only. Within = share of the kNN neighbors of a species&apos; grains that are the same species.
+      </div>
+      <table className="species-stats-table">
+        <thead>
+          <tr>
+            {STAT_COLUMNS.map((column) => (
+              <th
+                key={column.key}
+                scope="col"
+                aria-sort={sort.key === column.key ? (sort.descending ? 'descending' : 'ascending') : undefined}
+              >
+                {column.getValue ? (
+                  <button type="button" className="species-stats-sort" onClick={() => handleSort(column.key)}>
+                    {column.label}
+                    {sort.key === column.key ? (sort.descending ? ' ↓' : ' ↑') : ''}
+                  </button>
+                ) : (
+                  column.label
+                )}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {sortedStats.map((entry) => (
+            <tr key={entry.species}>
+              <th scope="row">
+                <span className="species-stats-name">
+                  <span className="species-dot" style={{ backgroundColor: entry.color }} aria-hidden="true" />
+                  {entry.label}
+                </span>
+              </th>
+              <td>{entry.count}</td>
+              <td>
+                <CropSizeBar cropSizes={entry.cropSizes} order={cropSizeOrder} />
+              </td>
+              <td>{formatSimilarity(entry.meanIntraSimilarity)}</td>
+              <td>
+                <span className="species-stats-meter" aria-hidden="true">
+                  <span style={{ width: `${(entry.withinFraction ?? 0) * 100}%` }} />
+                </span>
+                {formatPercent(entry.withinFraction)}
+              </td>
+              <td>
+                {entry.topNeighborSpecies ? (
+                  <>
+                    {entry.topNeighborSpecies.label}
+                    <span className="species-stats-note"> {formatPercent(entry.topNeighborSpecies.share)} of cross</span>
+                  </>
+                ) : (
+                  <span className="species-stats-note">none</span>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+// Segments follow the global crop-size order so bars line up across rows.
+function CropSizeBar({ cropSizes, order }) {
+  const total = cropSizes.reduce((sum, entry) => sum + entry.count, 0)
+  if (!total) return <span className="species-stats-note">n/a</span>
+
+  const countBySize = new Map(cropSizes.map((entry) => [entry.cropSize, entry.count]))
+  const sizes = [...order, ...cropSizes.map((entry) => entry.cropSize).filter((size) => !order.includes(size))]
+  const summary = sizes
+    .filter((size) => countBySize.get(size))
+    .map((size) => `${size}: ${countBySize.get(size)}`)
+    .join(', ')
+
+  return (
+    <span className="crop-size-bar" title={summary} aria-label={summary} role="img">
+      {sizes.map((size, position) => {
+        const count = countBySize.get(size) ?? 0
+        if (!count) return null
+        return (
+          <span
+            key={size}
+            style={{
+              width: `${(count / total) * 100}%`,
+              opacity: 0.25 + (0.75 * (position + 1)) / sizes.length
+            }}
+          />
+        )
+      })}
+    </span>
+  )
+}
+
+function compareValues(a, b) {
+  if (a == null && b == null) return 0
+  if (a == null) return 1
+  if (b == null) return -1
+  return typeof a === 'string' ? a.localeCompare(b) : a - b
+}
@@ -0,0 +1,16 @@
+import { formatPercent } from '../lib/nodeDisplay'
+
+// Ranked species shares as one stacked bar, largest vote on the left.
+export default function SpeciesVoteBar({ votes, className = '' }) {
+  if (!votes?.length) return <span className="species-stats-note">n/a</span>
+
+  const summary = votes.map((vote) => `${vote.label}: ${formatPercent(vote.share)}`).join(', ')
+
+  return (
+    <span className={`species-vote-bar${className ? ` ${className}` : ''}`} title={summary} aria-label={summary} role="img">
+      {votes.map((vote) => (
+        <span key={vote.species} style={{ width: `${vote.share * 100}%`, backgroundColor: vote.color }} />
+      ))}
+    </span>
+  )
+}
@@ -0,0 +1,185 @@
+import { useEffect, useRef, useState } from 'react'
+
+// View state lives in the hash so links keep working on a static host.
+// Nodes are referenced by export id rather than array index, so a link
+// survives re-sorting or a re-export that keeps ids stable.
+const CAMERA_PRECISION = 3
+
+export function readViewStateFromUrl() {
+  if (typeof window === 'undefined') return null
+
+  const hash = window.location.hash.replace(/^#/, '')
+  if (!hash) return null
+
+  const params = new URLSearchParams(hash)
+  return {
+    tab: params.get('tab')?.toUpperCase() ?? null,
+    sceneView: params.get('scene') === 'table' ? 'table' : null,
+    nodeId: parseNodeId(params.get('node')),
+    selectionSetIds: parseNodeIdList(params.get('set')),
+    openPanel: params.get('panel') || null,
+    analysisView: params.get('view') || null,
+    pickedQueryNodeId: parseNodeId(params.get('pick')),
+    activeQueryNodeId: parseNodeId(params.get('query')),
+    selectedResultNodeId: parseNodeId(params.get('result')),
+    filters: {
+      excludedSpecies: parseList(params.get('hide')),
+      excludedCropSizes: parseList(params.get('crop')),
+      excludedGroups: parseList(params.get('group')),
+      mode: params.get('filter') === 'hide' ? 'hide' : 'dim'
+    },
+    edgeFilters: {
+      minSimilarity: parseNumber(params.get('minsim')),
+      maxRank: parseNumber(params.get('rank')),
+      excludedKinds: parseList(params.get('nokind')),
+      opacityBySimilarity: params.get('edgeop') === 'sim'
+    },
+    colorMode: params.get('color') || null,
+    showSceneLabels: params.get('labels') !== 'off',
+    pathSourceId: parseNodeId(params.get('from')),
+    pathTargetId: parseNodeId(params.get('to')),
+    layout: {
+      displayField: params.get('layout') || null,
+      shapeMode: params.get('shape') || null
+    },
+    camera: parseCameraView(params.get('cam'), params.get('look')),
+    isCameraFocused: params.get('focus') === '1'
+  }
+}
+
+export function serializeViewState({
+  tab,
+  sceneView,
+  nodeId,
+  selectionSetIds,
+  openPanel,
+  analysisView,
+  pickedQueryNodeId,
+  activeQueryNodeId,
+  selectedResultNodeId,
+  filters,
+  edgeFilters,
+  colorMode,
+  showSceneLabels,
+  pathSourceId,
+  pathTargetId,
+  layout,
+  camera,
+  isCameraFocused
+}) {
+  const params = new URLSearchParams()
+
+  if (tab) params.set('tab', String(tab).toLowerCase())
+  if (sceneView === 'table') params.set('scene', 'table')
+  if (nodeId != null) params.set('node', String(nodeId))
+  if (selectionSetIds?.length) params.set('set', selectionSetIds.join(','))
+  if (openPanel) params.set('panel', openPanel)
+  if (openPanel === 'analysis' && analysisView) params.set('view', analysisView)
+  if (pickedQueryNodeId != null && pickedQueryNodeId !== activeQueryNodeId) {
+    params.set('pick', String(pickedQueryNodeId))
+  }
+  if (activeQueryNodeId != null) params.set('query', String(activeQueryNodeId))
+  if (activeQueryNodeId != null && selectedResultNodeId != null) {
+    params.set('result', String(selectedResultNodeId))
+  }
+  if (filters?.excludedSpecies.length) params.set('hide', filters.excludedSpecies.join(','))
+  if (filters?.excludedCropSizes.length) params.set('crop', filters.excludedCropSizes.join(','))
+  if (filters?.excludedGroups.length) params.set('group', filters.excludedGroups.join(','))
+  if (filters?.mode === 'hide') params.set('filter', 'hide')
+  if (edgeFilters?.minSimilarity != null) params.set('minsim', String(edgeFilters.minSimilarity))
+  if (edgeFilters?.maxRank != null) params.set('rank', String(edgeFilters.maxRank))
+  if (edgeFilters?.excludedKinds.length) params.set('nokind', edgeFilters.excludedKinds.join(','))
+  if (edgeFilters?.opacityBySimilarity) params.set('edgeop', 'sim')
+  if (colorMode && colorMode !== 'species') params.set('color', colorMode)
+  if (showSceneLabels === false) params.set('labels', 'off')
+  if (pathSourceId != null) params.set('from', String(pathSourceId))
+  if (pathTargetId != null) params.set('to', String(pathTargetId))
+  if (layout?.displayField) params.set('layout', layout.displayField)
+  if (layout?.shapeMode) params.set('shape', layout.shapeMode)
+  if (camera?.position) params.set('cam', formatVector(camera.position))
+  // The orbit target only leaves the origin while a grain is focused.
+  if (camera?.target?.some((value) => Math.abs(value) >= 10 ** -CAMERA_PRECISION)) {
+    params.set('look', formatVector(camera.target))
+  }
+  if (nodeId != null && isCameraFocused) params.set('focus', '1')
+
+  // Commas are safe in fragments and keep links readable in notebooks.
+  return params.toString().replace(/%2C/g, ',')
+}
+
+export function useUrlViewState(viewState, { enabled }) {
+  const [pendingViewState, setPendingViewState] = useState(() => readViewStateFromUrl())
+  const lastWrittenHashRef = useRef(typeof window === 'undefined' ? '' : window.location.hash)
+  const hash = serializeViewState(viewState)
+
+  useEffect(() => {
+    function handleHashChange() {
+      if (window.location.hash === lastWrittenHashRef.current) return
+      lastWrittenHashRef.current = window.location.hash
+      setPendingViewState(readViewStateFromUrl())
+    }
+
+    window.addEventListener('hashchange', handleHashChange)
+    return () => {
+      window.removeEventListener('hashchange', handleHashChange)
+    }
+  }, [])
+
+  useEffect(() => {
+    // Hold off until a pending link has been applied, otherwise the empty
+    // pre-load state would overwrite it.
+    if (!enabled || pendingViewState) return
+
+    const nextHash = hash ? `#${hash}` : ''
+    if (nextHash === window.location.hash) return
+
+    lastWrittenHashRef.current = nextHash
+    const { pathname, search } = window.location
+    window.history.replaceState(window.history.state, '', `${pathname}${search}${nextHash}`)
+  }, [enabled, hash, pendingViewState])
+
+  return {
+    pendingViewState,
+    clearPendingViewState() {
+      setPendingViewState(null)
+    }
+  }
+}
+
+function parseNodeId(value) {
+  if (value == null || value === '') return null
+  const numeric = Number(value)
+  return Number.isFinite(numeric) && String(numeric) === value ? numeric : value
+}
+
+function parseNodeIdList(value) {
+  return parseList(value).map(parseNodeId)
+}
+
+function parseList(value) {
+  if (!value) return []
+  return value.split(',').filter(Boolean)
+}
+
+function parseNumber(value) {
+  if (value == null || value === '') return null
+  const numeric = Number(value)
+  return Number.isFinite(numeric) ? numeric : null
+}
+
+// { position, target } as the canvas reports it; a link without `look`
+// orbits the origin.
+function parseCameraView(positionValue, targetValue) {
+  const position = parseVector(positionValue)
+  return position ? { position, target: parseVector(targetValue) ?? [0, 0, 0] } : null
+}
+
+function formatVector(vector) {
+  return vector.map((value) => value.toFixed(CAMERA_PRECISION)).join(',')
+}
+
+function parseVector(value) {
+  if (!value) return null
+  const parts = value.split(',').map(Number)
+  return parts.length === 3 && parts.every(Number.isFinite) ? parts : null
+}
@@ -0,0 +1,91 @@
+// Compact export layout. The manifest declares `format: nest_hypercube_binary_v1`
+// and a `binary` block:
+//
+//   binary: {
+//     byte_order: 'little',
+//     node_count, edge_count,
+//     position_fields: ['position', 'position_cloud', 'position_tsne', 'position_raw'],
+//     edge_kinds: ['knn', 'component_bridge']
+//   }
+//
+// generated_files then points at:
+//   node_metadata    JSON sidecar, one object per node row (id, species, filename, ...)
+//   positions        Float32, field-major: field f, row i at ((f * node_count) + i) * 3
+//   edge_endpoints   Uint32 pairs of node rows (not ids)
+//   edge_similarity  Float32, one per edge
+//   edge_attributes  Uint8 pairs: rank_hint (0 = none), index into edge_kinds
+//
+// Species and search results stay JSON. Decoding keeps the typed arrays as
+// they are: node rows stay plain metadata and the graph travels as
+// `graphBuffers`, which processPackage reads without building per-node
+// coordinate or intermediate edge objects.
+export const BINARY_PACKAGE_FORMAT = 'nest_hypercube_binary_v1'
+
+const IS_LITTLE_ENDIAN_HOST = new Uint8Array(new Uint16Array([1]).buffer)[0] === 1
+
+export function isBinaryManifest(manifest) {
+  return manifest?.format === BINARY_PACKAGE_FORMAT && Boolean(manifest.binary)
+}
+
+export function decodeBinaryPackage(manifest, { nodeMetadata, positions, edgeEndpoints, edgeSimilarity, edgeAttributes }) {
+  const layout = manifest.binary
+  const nodeCount = Number(layout.node_count)
+  const edgeCount = Number(layout.edge_count)
+  const fields = layout.position_fields ?? []
+  const rows = Array.isArray(nodeMetadata) ? nodeMetadata : nodeMetadata?.nodes
+
+  if (!Array.isArray(rows) || rows.length !== nodeCount) {
+    throw new Error(`Binary package lists ${nodeCount} nodes but node_metadata has ${rows?.length ?? 0}`)
+  }
+
+  const coordinates = readTypedArray(positions, Float32Array, nodeCount * fields.length * 3, 'positions')
+  const endpoints = readTypedArray(edgeEndpoints, Uint32Array, edgeCount * 2, 'edge_endpoints')
+  const similarities = readTypedArray(edgeSimilarity, Float32Array, edgeCount, 'edge_similarity')
+  const attributes = edgeAttributes ? readTypedArray(edgeAttributes, Uint8Array, edgeCount * 2, 'edge_attributes') : null
+
+  for (let index = 0; index < edgeCount; index += 1) {
+    if (endpoints[index * 2] >= nodeCount || endpoints[index * 2 + 1] >= nodeCount) {
+      throw new Error(`Binary edge ${index} points outside the ${nodeCount} node rows`)
+    }
+  }
+
+  // Field-major storage makes each field a contiguous row-order view.
+  const coordinatesByField = Object.fromEntries(
+    fields.map((field, fieldIndex) => [
+      field,
+      coordinates.subarray(fieldIndex * nodeCount * 3, (fieldIndex + 1) * nodeCount * 3)
+    ])
+  )
+
+  return {
+    nodes: rows,
+    edges: null,
+    graphBuffers: {
+      coordinatesByField,
+      edgeEndpoints: endpoints,
+      edgeSimilarity: similarities,
+      edgeAttributes: attributes,
+      edgeKinds: layout.edge_kinds ?? ['knn']
+    }
+  }
+}
+
+function readTypedArray(buffer, ArrayType, expectedLength, label) {
+  const expectedBytes = expectedLength * ArrayType.BYTES_PER_ELEMENT
+  if (!(buffer instanceof ArrayBuffer) || buffer.byteLength !== expectedBytes) {
+    throw new Error(`Binary ${label} should be ${expectedBytes} bytes, got ${buffer?.byteLength ?? 0}`)
+  }
+
+  if (IS_LITTLE_ENDIAN_HOST || ArrayType.BYTES_PER_ELEMENT === 1) {
+    return new ArrayType(buffer)
+  }
+
+  // Big-endian hosts are rare enough that a slow DataView copy is fine.
+  const view = new DataView(buffer)
+  const values = new ArrayType(expectedLength)
+  const read = ArrayType === Float32Array ? view.getFloat32.bind(view) : view.getUint32.bind(view)
+  for (let index = 0; index < expectedLength; index += 1) {
+    values[index] = read(index * ArrayType.BYTES_PER_ELEMENT, true)
+  }
+  return values
+}
@@ -0,0 +1,200 @@
+import { getNodeNeighbors } from './graphNeighbors'
+import { formatPercent, formatSimilarity, hexToRgb01 } from './nodeDisplay'
+
+export const COLOR_MODES = [
+  { id: 'species', label: 'Species', scale: 'categorical' },
+  { id: 'crop', label: 'Crop Size', scale: 'categorical' },
+  { id: 'community', label: 'Community', scale: 'categorical' },
+  { id: 'degree', label: 'Degree', scale: 'continuous' },
+  { id: 'purity', label: 'Neighbor Purity', scale: 'continuous' },
+  { id: 'meanSimilarity', label: 'Mean Neighbor Sim', scale: 'continuous' },
+  { id: 'selectedSimilarity', label: 'Sim To Selected', scale: 'continuous' }
+]
+
+// Pale -> ink -> accent; the pale end stays visible against the scene paper.
+export const CONTINUOUS_RAMP = ['#c9c4b6', '#111111', '#f21f2f']
+export const MISSING_VALUE_COLOR = '#e2ded3'
+const RAMP_RGB = CONTINUOUS_RAMP.map(hexToRgb01)
+const MISSING_RGB = hexToRgb01(MISSING_VALUE_COLOR)
+
+const VALUE_FORMATTERS = {
+  degree: (value) => String(Math.round(value)),
+  purity: formatPercent,
+  meanSimilarity: formatSimilarity,
+  selectedSimilarity: formatSimilarity
+}
+
+export function formatColorValue(mode, value) {
+  if (value == null) return '—'
+  return (VALUE_FORMATTERS[mode] ?? formatSimilarity)(value)
+}
+
+// Per-node graph metrics, computed once per package. Purity is the share of
+// a labelled grain's labelled neighbors that carry its own species; fossils
+// have no species of their own and get null.
+export function computeNodeMetrics(data) {
+  if (!data) return null
+
+  const count = data.nodes.length
+  const degree = new Array(count)
+  const meanSimilarity = new Array(count)
+  const purity = new Array(count)
+
+  data.nodes.forEach((node, index) => {
+    const neighbors = getNodeNeighbors(data, index)
+    const species = node.displaySpecies ?? node.species
+    let similaritySum = 0
+    let similarityCount = 0
+    let labelled = 0
+    let sameSpecies = 0
+
+    for (const neighbor of neighbors) {
+      if (neighbor.similarity != null) {
+        similaritySum += neighbor.similarity
+        similarityCount += 1
+      }
+      if (neighbor.edgeKind !== 'knn' || neighbor.node.isFossilPollen) continue
+      labelled += 1
+      if ((neighbor.node.displaySpecies ?? neighbor.node.species) === species) sameSpecies += 1
+    }
+
+    degree[index] = neighbors.length
+    meanSimilarity[index] = similarityCount ? similaritySum / similarityCount : null
+    purity[index] = node.isFossilPollen || !labelled ? null : sameSpecies / labelled
+  })
+
+  return { degree, meanSimilarity, purity }
+}
+
+// Similarity of every grain to the selected one, from its graph edges and,
+// for a fossil query, the stored search results. Grains with neither stay
+// null rather than pretending to be dissimilar.
+export function computeSimilarityToSelected(data, selectedIndex) {
+  const values = new Array(data.nodes.length).fill(null)
+  if (selectedIndex == null) return values
+
+  values[selectedIndex] = 1
+  for (const neighbor of getNodeNeighbors(data, selectedIndex)) {
+    if (neighbor.similarity != null) values[neighbor.index] = neighbor.similarity
+  }
+
+  const selectedId = data.nodes[selectedIndex]?.id
+  const query = data.searchResults?.queries?.find((entry) => entry.query.node_id === selectedId)
+  for (const result of query?.results ?? []) {
+    const index = data.indexById.get(result.node_id)
+    const similarity = Number(result.similarity)
+    if (index == null || !Number.isFinite(similarity)) continue
+    values[index] = Math.max(values[index] ?? -Infinity, similarity)
+  }
+
+  return values
+}
+
+// Returns { colors, legend } for the mode. Species mode reuses the package's
+// own colors and legend (the species rail), so it returns colors: null.
+export function buildNodeColoring(data, mode, { metrics, communities = null, selectedIndex = null } = {}) {
+  if (!data || mode === 'species' || !COLOR_MODES.some((entry) => entry.id === mode)) {
+    return { colors: null, legend: null }
+  }
+
+  if (mode === 'crop') return buildCropSizeColoring(data)
+  if (mode === 'community') return buildCommunityColoring(data, communities)
+
+  const values =
+    mode === 'selectedSimilarity' ? computeSimilarityToSelected(data, selectedIndex) : metrics?.[mode] ?? []
+  return buildContinuousColoring(values, data.nodes.length, {
+    mode,
+    needsSelection: mode === 'selectedSimilarity' && selectedIndex == null
+  })
+}
+
+// Crop sizes are ordered (the legend is sorted by edge length), so they step
+// along the same ramp instead of cycling through unrelated hues.
+function buildCropSizeColoring(data) {
+  const steps = Math.max(1, data.cropSizeLegend.length - 1)
+  const entries = data.cropSizeLegend.map((entry, index) => {
+    const rgb = sampleRamp(index / steps)
+    return { key: entry.cropSize, label: entry.cropSize, rgb, color: formatCssRgb(rgb), count: 0 }
+  })
+  const entryByKey = new Map(entries.map((entry) => [entry.key, entry]))
+  const colors = new Float32Array(data.nodes.length * 3)
+  let missingCount = 0
+
+  data.nodes.forEach((node, index) => {
+    const entry = entryByKey.get(node.crop_size)
+    if (entry) entry.count += 1
+    else missingCount += 1
+    colors.set(entry ? entry.rgb : MISSING_RGB, index * 3)
+  })
+
+  return { colors, legend: { scale: 'categorical', mode: 'crop', entries, missingCount } }
+}
+
+function buildCommunityColoring(data, result) {
+  if (!result) return { colors: null, legend: null }
+
+  const colors = new Float32Array(data.nodes.length * 3)
+  const rgbByCommunity = result.communities.map((community) => hexToRgb01(community.color))
+  result.assignments.forEach((community, index) => {
+    colors.set(rgbByCommunity[community], index * 3)
+  })
+
+  const entries = result.communities.map((community) => ({
+    key: community.id,
+    label: community.label,
+    color: community.color,
+    count: community.size
+  }))
+  return { colors, legend: { scale: 'categorical', mode: 'community', entries, missingCount: 0 } }
+}
+
+function buildContinuousColoring(values, count, { mode, needsSelection }) {
+  let min = Infinity
+  let max = -Infinity
+  let missingCount = 0
+  for (let index = 0; index < count; index += 1) {
+    const value = values[index]
+    if (value == null || !Number.isFinite(value)) continue
+    min = Math.min(min, value)
+    max = Math.max(max, value)
+  }
+
+  const hasRange = Number.isFinite(min)
+  const span = hasRange && max > min ? max - min : 1
+  const colors = new Float32Array(count * 3)
+
+  for (let index = 0; index < count; index += 1) {
+    const value = values[index]
+    if (value == null || !Number.isFinite(value)) {
+      missingCount += 1
+      colors.set(MISSING_RGB, index * 3)
+      continue
+    }
+    colors.set(sampleRamp((value - min) / span), index * 3)
+  }
+
+  return {
+    colors,
+    legend: {
+      scale: 'continuous',
+      mode,
+      min: hasRange ? min : null,
+      max: hasRange ? max : null,
+      missingCount,
+      needsSelection
+    }
+  }
+}
+
+function sampleRamp(t) {
+  const scaled = Math.min(1, Math.max(0, t)) * (RAMP_RGB.length - 1)
+  const lower = Math.min(RAMP_RGB.length - 2, Math.floor(scaled))
+  const mix = scaled - lower
+  const from = RAMP_RGB[lower]
+  const to = RAMP_RGB[lower + 1]
+  return [from[0] + (to[0] - from[0]) * mix, from[1] + (to[1] - from[1]) * mix, from[2] + (to[2] - from[2]) * mix]
+}
+
+function formatCssRgb(rgb) {
+  return `rgb(${rgb.map((channel) => Math.round(channel * 255)).join(', ')})`
+}
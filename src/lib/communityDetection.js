@@ -0,0 +1,243 @@
+import { prettifySpecies } from './nodeDisplay'
+
+const MAX_LEVELS = 12
+const MAX_PASSES = 24
+const MIN_MODULARITY_GAIN = 1e-7
+// Golden-angle hue steps keep neighboring community ids visually apart.
+const HUE_STEP = 137.508
+
+// Weighted Louvain over the kNN edges. Bridge edges are layout scaffolding,
+// not similarity evidence, and negative similarities carry no weight. Nodes
+// are visited in index order, so the same package always yields the same
+// communities.
+export function detectCommunities(data, { resolution = 1 } = {}) {
+  if (!data?.nodes.length) return null
+
+  const nodeCount = data.nodes.length
+  let graph = buildWeightedGraph(data)
+  let membership = Int32Array.from({ length: nodeCount }, (_, index) => index)
+
+  for (let level = 0; level < MAX_LEVELS; level += 1) {
+    const { assignments, moved } = runLocalMoving(graph, resolution)
+    if (!moved) break
+    const { graph: nextGraph, relabel } = aggregateGraph(graph, assignments)
+    membership = membership.map((community) => relabel[assignments[community]])
+    graph = nextGraph
+  }
+
+  return summarizeCommunities(data, membership, computeModularity(graph, resolution))
+}
+
+function buildWeightedGraph(data) {
+  const adjacency = Array.from({ length: data.nodes.length }, () => new Map())
+
+  for (const edge of data.edges) {
+    if ((edge.edge_kind ?? 'knn') !== 'knn') continue
+    const { sourceIndex, targetIndex } = edge
+    if (sourceIndex === targetIndex) continue
+    const weight = Math.max(Number(edge.similarity) || 0, 0)
+    if (!weight) continue
+    adjacency[sourceIndex].set(targetIndex, (adjacency[sourceIndex].get(targetIndex) ?? 0) + weight)
+    adjacency[targetIndex].set(sourceIndex, (adjacency[targetIndex].get(sourceIndex) ?? 0) + weight)
+  }
+
+  return createGraph(adjacency, new Float64Array(adjacency.length))
+}
+
+// selfWeights holds each super-node's internal weight, counted from both
+// ends, so a node's strength is its self weight plus its external weights.
+function createGraph(adjacency, selfWeights) {
+  const strengths = new Float64Array(adjacency.length)
+  let totalWeight = 0
+  adjacency.forEach((neighbors, index) => {
+    let strength = selfWeights[index]
+    for (const weight of neighbors.values()) strength += weight
+    strengths[index] = strength
+    totalWeight += strength
+  })
+  return { adjacency, selfWeights, strengths, totalWeight }
+}
+
+function runLocalMoving({ adjacency, strengths, totalWeight }, resolution) {
+  const size = adjacency.length
+  const assignments = Int32Array.from({ length: size }, (_, index) => index)
+  const communityStrength = Float64Array.from(strengths)
+  let moved = false
+  if (!totalWeight) return { assignments, moved }
+
+  for (let pass = 0; pass < MAX_PASSES; pass += 1) {
+    let passMoved = false
+
+    for (let node = 0; node < size; node += 1) {
+      const current = assignments[node]
+      const strength = strengths[node]
+      const linkWeights = new Map()
+      for (const [neighbor, weight] of adjacency[node]) {
+        const community = assignments[neighbor]
+        linkWeights.set(community, (linkWeights.get(community) ?? 0) + weight)
+      }
+
+      communityStrength[current] -= strength
+      const gainOf = (community) =>
+        (linkWeights.get(community) ?? 0) - (resolution * communityStrength[community] * strength) / totalWeight
+
+      let best = current
+      let bestGain = gainOf(current)
+      for (const community of linkWeights.keys()) {
+        const gain = gainOf(community)
+        if (gain > bestGain + MIN_MODULARITY_GAIN) {
+          best = community
+          bestGain = gain
+        }
+      }
+
+      communityStrength[best] += strength
+      if (best !== current) {
+        assignments[node] = best
+        passMoved = true
+        moved = true
+      }
+    }
+
+    if (!passMoved) break
+  }
+
+  return { assignments, moved }
+}
+
+function aggregateGraph(graph, assignments) {
+  const relabel = new Int32Array(assignments.length).fill(-1)
+  let nextSize = 0
+  for (const community of assignments) {
+    if (relabel[community] < 0) relabel[community] = nextSize++
+  }
+
+  const adjacency = Array.from({ length: nextSize }, () => new Map())
+  const selfWeights = new Float64Array(nextSize)
+  graph.adjacency.forEach((neighbors, node) => {
+    const from = relabel[assignments[node]]
+    selfWeights[from] += graph.selfWeights[node]
+    for (const [neighbor, weight] of neighbors) {
+      const to = relabel[assignments[neighbor]]
+      if (from === to) {
+        selfWeights[from] += weight
+      } else {
+        adjacency[from].set(to, (adjacency[from].get(to) ?? 0) + weight)
+      }
+    }
+  })
+
+  return { graph: createGraph(adjacency, selfWeights), relabel }
+}
+
+// On the final aggregated graph every super-node is one community.
+function computeModularity({ selfWeights, strengths, totalWeight }, resolution) {
+  if (!totalWeight) return 0
+  let modularity = 0
+  for (let index = 0; index < strengths.length; index += 1) {
+    const share = strengths[index] / totalWeight
+    modularity += selfWeights[index] / totalWeight - resolution * share * share
+  }
+  return modularity
+}
+
+// Communities are numbered by size, largest first. Purity is the dominant
+// species' share of the community's labelled (non-fossil) grains.
+function summarizeCommunities(data, membership, modularity) {
+  const membersByCommunity = new Map()
+  membership.forEach((community, index) => {
+    if (!membersByCommunity.has(community)) membersByCommunity.set(community, [])
+    membersByCommunity.get(community).push(index)
+  })
+
+  const colorBySpecies = new Map(data.speciesLegend.map((entry) => [entry.species, entry.color?.hex ?? '#111111']))
+  const ordered = [...membersByCommunity.values()].sort((a, b) => b.length - a.length || a[0] - b[0])
+  const assignments = new Int32Array(data.nodes.length)
+
+  const communities = ordered.map((indices, position) => {
+    const countsBySpecies = new Map()
+    const fossilSpecies = new Set()
+    let fossilCount = 0
+    for (const index of indices) {
+      assignments[index] = position
+      const node = data.nodes[index]
+      const species = node.displaySpecies ?? node.species
+      countsBySpecies.set(species, (countsBySpecies.get(species) ?? 0) + 1)
+      if (node.isFossilPollen) {
+        fossilCount += 1
+        fossilSpecies.add(species)
+      }
+    }
+
+    const composition = [...countsBySpecies.entries()]
+      .map(([species, count]) => ({
+        species,
+        label: prettifySpecies(species),
+        color: colorBySpecies.get(species) ?? '#111111',
+        count,
+        share: count / indices.length,
+        isFossilPollen: fossilSpecies.has(species)
+      }))
+      .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label))
+    const labelledCount = indices.length - fossilCount
+    const dominant = composition.find((entry) => !entry.isFossilPollen) ?? null
+
+    return {
+      id: position + 1,
+      label: `C${position + 1}`,
+      color: communityColor(position),
+      indices,
+      size: indices.length,
+      fossilCount,
+      composition,
+      dominant,
+      purity: dominant && labelledCount ? dominant.count / labelledCount : null
+    }
+  })
+
+  return { assignments, communities, modularity }
+}
+
+// Hex rather than hsl() so the scene can reuse hexToRgb01 for instance colors.
+function communityColor(position) {
+  const hue = (position * HUE_STEP) % 360
+  const lightness = position % 2 ? 0.36 : 0.48
+  const saturation = 0.64
+  const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation
+  const channel = (offset) => {
+    const k = (offset + hue / 30) % 12
+    const value = lightness - chroma / 2 * Math.max(-1, Math.min(k - 3, 9 - k, 1))
+    return Math.round(value * 255).toString(16).padStart(2, '0')
+  }
+  return `#${channel(0)}${channel(8)}${channel(4)}`
+}
+
+// Species whose labelled grains the embedding spreads over several
+// communities, each holding at least minShare of them.
+export function findSplitSpecies(result, { minShare = 0.1 } = {}) {
+  if (!result) return []
+
+  const spreadBySpecies = new Map()
+  for (const community of result.communities) {
+    for (const entry of community.composition) {
+      if (entry.isFossilPollen) continue
+      if (!spreadBySpecies.has(entry.species)) {
+        const { species, label, color } = entry
+        spreadBySpecies.set(species, { species, label, color, parts: [] })
+      }
+      spreadBySpecies.get(entry.species).parts.push({ community, count: entry.count })
+    }
+  }
+
+  return [...spreadBySpecies.values()]
+    .map((entry) => {
+      const total = entry.parts.reduce((sum, part) => sum + part.count, 0)
+      const parts = entry.parts
+        .map((part) => ({ ...part, share: part.count / total }))
+        .filter((part) => part.share >= minShare)
+        .sort((a, b) => b.count - a.count)
+      return { ...entry, total, parts }
+    })
+    .filter((entry) => entry.parts.length > 1)
+    .sort((a, b) => b.parts.length - a.parts.length || a.label.localeCompare(b.label))
+}
@@ -0,0 +1,103 @@
+export const DEFAULT_EDGE_FILTERS = {
+  minSimilarity: null,
+  maxRank: null,
+  excludedKinds: [],
+  opacityBySimilarity: false
+}
+
+const KNN_EDGE_KIND = 'knn'
+
+// Every kind other than plain kNN is synthetic layout scaffolding (bridges
+// between components, manual links), drawn dashed so it never reads as a
+// similarity neighbor.
+export function isBridgeEdgeKind(kind) {
+  return (kind ?? KNN_EDGE_KIND) !== KNN_EDGE_KIND
+}
+
+export function hasActiveEdgeFilters(filters) {
+  return Boolean(
+    filters && (filters.minSimilarity != null || filters.maxRank != null || filters.excludedKinds.length)
+  )
+}
+
+// Kinds, the deepest kNN rank and the similarity range, for building controls
+// and normalising similarity-mapped opacity.
+export function summarizeEdges(edges) {
+  const countByKind = new Map()
+  let maxRank = 0
+  let minSimilarity = Infinity
+  let maxSimilarity = -Infinity
+
+  for (const edge of edges) {
+    const kind = edge.edge_kind ?? KNN_EDGE_KIND
+    countByKind.set(kind, (countByKind.get(kind) ?? 0) + 1)
+    if (kind === KNN_EDGE_KIND && Number.isFinite(edge.rank_hint)) maxRank = Math.max(maxRank, edge.rank_hint)
+    const similarity = Number(edge.similarity)
+    if (Number.isFinite(similarity)) {
+      minSimilarity = Math.min(minSimilarity, similarity)
+      maxSimilarity = Math.max(maxSimilarity, similarity)
+    }
+  }
+
+  return {
+    kinds: [...countByKind.entries()]
+      .map(([kind, count]) => ({
+        kind,
+        count,
+        label: formatEdgeKind(kind),
+        isBridge: isBridgeEdgeKind(kind)
+      }))
+      .sort((a, b) => a.isBridge - b.isBridge || b.count - a.count),
+    maxRank,
+    minSimilarity: Number.isFinite(minSimilarity) ? minSimilarity : null,
+    maxSimilarity: Number.isFinite(maxSimilarity) ? maxSimilarity : null
+  }
+}
+
+// The rank cut applies to kNN edges only; a bridge's rank_hint is its order
+// within its bridge group, not a neighbor rank.
+export function isEdgeVisible(edge, filters) {
+  if (!filters) return true
+  const kind = edge.edge_kind ?? KNN_EDGE_KIND
+  if (filters.excludedKinds.includes(kind)) return false
+  if (filters.minSimilarity != null && !(Number(edge.similarity) >= filters.minSimilarity)) return false
+  if (filters.maxRank != null && kind === KNN_EDGE_KIND && Number.isFinite(edge.rank_hint)) {
+    return edge.rank_hint <= filters.maxRank
+  }
+  return true
+}
+
+// Splits the edges that pass both the node mask and the edge filters into
+// solid kNN edges and dashed bridge edges.
+export function partitionVisibleEdges(edges, filters, nodeMask = null) {
+  const knn = []
+  const bridges = []
+
+  for (const edge of edges) {
+    if (nodeMask && (!nodeMask[edge.sourceIndex] || !nodeMask[edge.targetIndex])) continue
+    if (!isEdgeVisible(edge, filters)) continue
+    if (isBridgeEdgeKind(edge.edge_kind)) {
+      bridges.push(edge)
+    } else {
+      knn.push(edge)
+    }
+  }
+
+  return { knn, bridges }
+}
+
+export function countVisibleEdges(edges, filters) {
+  if (!hasActiveEdgeFilters(filters)) return edges.length
+  let count = 0
+  for (const edge of edges) if (isEdgeVisible(edge, filters)) count += 1
+  return count
+}
+
+export function formatEdgeKind(kind) {
+  if ((kind ?? KNN_EDGE_KIND) === KNN_EDGE_KIND) return 'kNN'
+  return String(kind)
+    .split('_')
+    .filter(Boolean)
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ')
+}
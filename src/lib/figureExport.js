@@ -0,0 +1,256 @@
+import { CONTINUOUS_RAMP, formatColorValue } from './colorModes'
+
+export const FIGURE_SCALES = [1, 2, 4, 8]
+export const FIGURE_BACKGROUNDS = [
+  { id: 'solid', label: 'Solid' },
+  { id: 'transparent', label: 'Transparent' }
+]
+export const DEFAULT_FIGURE_OPTIONS = { scale: 4, background: 'solid', includeLegend: true }
+
+const FIGURE_PAPER = '#f6f5f1'
+const FIGURE_INK = '#111111'
+const FIGURE_ACCENT = '#f21f2f'
+const FIGURE_FONT = "'IBM Plex Mono', monospace"
+const SVG_PLOT_WIDTH = 1200
+const SVG_PADDING = 32
+const SVG_NODE_RADIUS = 2.4
+const SVG_LEGEND_WIDTH = 200
+// Legend metrics in CSS pixels; PNG export multiplies them by the scale.
+const LEGEND_PADDING = 10
+const LEGEND_ROW = 16
+const LEGEND_SWATCH = 9
+const LEGEND_FONT_SIZE = 11
+const LEGEND_TITLE_SIZE = 10
+const LEGEND_RAMP_WIDTH = 150
+const LEGEND_RAMP_HEIGHT = 10
+
+// What the figure legend shows for the current color mode: swatches for
+// species and categorical modes, the ramp with its range for continuous ones.
+export function buildFigureLegend({ colorMode, modeLabel, colorLegend, speciesLegend }) {
+  if (!colorLegend) {
+    return {
+      title: 'Species',
+      entries: (speciesLegend ?? []).map((entry) => ({ label: entry.label, color: entry.color?.hex ?? FIGURE_INK }))
+    }
+  }
+
+  if (colorLegend.scale === 'categorical') {
+    return {
+      title: modeLabel,
+      entries: colorLegend.entries.map((entry) => ({ label: entry.label, color: entry.color }))
+    }
+  }
+
+  if (colorLegend.needsSelection) return null
+  return {
+    title: modeLabel,
+    ramp: CONTINUOUS_RAMP,
+    minLabel: formatColorValue(colorMode, colorLegend.min),
+    maxLabel: formatColorValue(colorMode, colorLegend.max)
+  }
+}
+
+export function buildFigureFilename(extension, date = new Date()) {
+  const stamp = date.toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-')
+  return `nest-figure-${stamp}.${extension}`
+}
+
+export function canvasToBlob(canvas, type = 'image/png') {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('The browser could not encode the image.'))), type)
+  })
+}
+
+// Draws the legend box into the top-right corner of a rendered PNG.
+export function drawFigureLegend(context, legend, { scale = 1 } = {}) {
+  if (!legend) return
+
+  const unit = (value) => value * scale
+  const { width: boxWidth, height: boxHeight } = measureLegend(legend, (text, size) => {
+    context.font = `${unit(size)}px ${FIGURE_FONT}`
+    return context.measureText(text).width / scale
+  })
+  const left = context.canvas.width - unit(boxWidth + LEGEND_PADDING)
+  const top = unit(LEGEND_PADDING)
+
+  context.save()
+  context.fillStyle = 'rgba(255, 255, 255, 0.9)'
+  context.strokeStyle = 'rgba(17, 17, 17, 0.55)'
+  context.lineWidth = unit(1)
+  context.fillRect(left, top, unit(boxWidth), unit(boxHeight))
+  context.strokeRect(left, top, unit(boxWidth), unit(boxHeight))
+  context.textBaseline = 'middle'
+  context.fillStyle = FIGURE_INK
+  context.font = `${unit(LEGEND_TITLE_SIZE)}px ${FIGURE_FONT}`
+  context.fillText(legend.title.toUpperCase(), left + unit(LEGEND_PADDING), top + unit(LEGEND_PADDING + LEGEND_ROW / 2))
+
+  let y = LEGEND_PADDING + LEGEND_ROW
+  context.font = `${unit(LEGEND_FONT_SIZE)}px ${FIGURE_FONT}`
+  if (legend.ramp) {
+    const gradient = context.createLinearGradient(
+      left + unit(LEGEND_PADDING),
+      0,
+      left + unit(LEGEND_PADDING + LEGEND_RAMP_WIDTH),
+      0
+    )
+    legend.ramp.forEach((color, index) => gradient.addColorStop(index / (legend.ramp.length - 1), color))
+    context.fillStyle = gradient
+    context.fillRect(
+      left + unit(LEGEND_PADDING),
+      top + unit(y + 3),
+      unit(LEGEND_RAMP_WIDTH),
+      unit(LEGEND_RAMP_HEIGHT)
+    )
+    y += LEGEND_ROW
+    context.fillStyle = FIGURE_INK
+    context.fillText(legend.minLabel, left + unit(LEGEND_PADDING), top + unit(y + LEGEND_ROW / 2))
+    context.textAlign = 'right'
+    context.fillText(legend.maxLabel, left + unit(LEGEND_PADDING + LEGEND_RAMP_WIDTH), top + unit(y + LEGEND_ROW / 2))
+  } else {
+    for (const entry of legend.entries) {
+      context.fillStyle = entry.color
+      context.fillRect(
+        left + unit(LEGEND_PADDING),
+        top + unit(y + (LEGEND_ROW - LEGEND_SWATCH) / 2),
+        unit(LEGEND_SWATCH),
+        unit(LEGEND_SWATCH)
+      )
+      context.fillStyle = FIGURE_INK
+      context.fillText(entry.label, left + unit(LEGEND_PADDING * 2 + LEGEND_SWATCH), top + unit(y + LEGEND_ROW / 2))
+      y += LEGEND_ROW
+    }
+  }
+  context.restore()
+}
+
+// Vector figure of an orthographic projection. Points and segments are in
+// camera space (x right, y down); points draw far to near so nearer grains
+// sit on top, as in the scene. Edges share one path per kind to keep the
+// file small enough for vector editors.
+export function buildFigureSvg({ points, knnSegments, bridgeSegments, background = 'solid', legend = null }) {
+  const bounds = measureBounds(points)
+  const plotScale = (SVG_PLOT_WIDTH - SVG_PADDING * 2) / Math.max(bounds.width, bounds.height, 1e-6)
+  const plotHeight = bounds.height * plotScale + SVG_PADDING * 2
+  const legendSize = legend ? measureLegend(legend, estimateTextWidth) : null
+  const width = SVG_PLOT_WIDTH + (legendSize ? Math.ceil(Math.max(SVG_LEGEND_WIDTH, legendSize.width)) : 0)
+  const height = Math.max(plotHeight, legendSize ? legendSize.height + SVG_PADDING * 2 : 0)
+  const mapX = (x) => formatCoordinate((x - bounds.minX) * plotScale + SVG_PADDING)
+  const mapY = (y) => formatCoordinate((y - bounds.minY) * plotScale + (height - bounds.height * plotScale) / 2)
+  const segmentPath = (segments) =>
+    segments.map(([x1, y1, x2, y2]) => `M${mapX(x1)} ${mapY(y1)}L${mapX(x2)} ${mapY(y2)}`).join('')
+
+  const circles = [...points]
+    .sort((a, b) => a.depth - b.depth)
+    .map((point) => {
+      const opacity = point.opacity < 1 ? ` fill-opacity="${point.opacity}"` : ''
+      const center = `cx="${mapX(point.x)}" cy="${mapY(point.y)}"`
+      return `<circle ${center} r="${SVG_NODE_RADIUS}" fill="${point.color}"${opacity}/>`
+    })
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${formatCoordinate(height)}" ` +
+      `viewBox="0 0 ${width} ${formatCoordinate(height)}" font-family="${FIGURE_FONT.replace(/'/g, '')}">`,
+    background === 'solid' ? `<rect width="100%" height="100%" fill="${FIGURE_PAPER}"/>` : '',
+    knnSegments.length
+      ? `<path d="${segmentPath(knnSegments)}" fill="none" stroke="${FIGURE_INK}" stroke-opacity="0.12" ` +
+        'stroke-width="0.5"/>'
+      : '',
+    bridgeSegments.length
+      ? `<path d="${segmentPath(bridgeSegments)}" fill="none" stroke="${FIGURE_ACCENT}" stroke-opacity="0.5" ` +
+        'stroke-width="0.8" stroke-dasharray="4 3"/>'
+      : '',
+    `<g id="grains">${circles.join('')}</g>`,
+    legend ? renderSvgLegend(legend, SVG_PLOT_WIDTH, SVG_PADDING) : '',
+    '</svg>'
+  ]
+    .filter(Boolean)
+    .join('\n')
+}
+
+export function rgb01ToHex(r, g, b) {
+  const channel = (value) =>
+    Math.round(Math.min(1, Math.max(0, value ?? 0)) * 255)
+      .toString(16)
+      .padStart(2, '0')
+  return `#${channel(r)}${channel(g)}${channel(b)}`
+}
+
+function renderSvgLegend(legend, left, top) {
+  const rows = [
+    `<text x="${left}" y="${top + LEGEND_ROW / 2}" font-size="${LEGEND_TITLE_SIZE}" letter-spacing="0.8" ` +
+      `dominant-baseline="middle" fill="${FIGURE_INK}">${escapeXml(legend.title.toUpperCase())}</text>`
+  ]
+  let y = top + LEGEND_ROW
+
+  if (legend.ramp) {
+    const stops = legend.ramp
+      .map((color, index) => `<stop offset="${index / (legend.ramp.length - 1)}" stop-color="${color}"/>`)
+      .join('')
+    rows.push(
+      `<defs><linearGradient id="figure-ramp">${stops}</linearGradient></defs>`,
+      `<rect x="${left}" y="${y + 3}" width="${LEGEND_RAMP_WIDTH}" height="${LEGEND_RAMP_HEIGHT}" ` +
+        'fill="url(#figure-ramp)"/>',
+      `<text x="${left}" y="${y + LEGEND_ROW * 1.5}" font-size="${LEGEND_FONT_SIZE}" dominant-baseline="middle" ` +
+        `fill="${FIGURE_INK}">${escapeXml(legend.minLabel)}</text>`,
+      `<text x="${left + LEGEND_RAMP_WIDTH}" y="${y + LEGEND_ROW * 1.5}" font-size="${LEGEND_FONT_SIZE}" ` +
+        `text-anchor="end" dominant-baseline="middle" fill="${FIGURE_INK}">${escapeXml(legend.maxLabel)}</text>`
+    )
+  } else {
+    for (const entry of legend.entries) {
+      rows.push(
+        `<rect x="${left}" y="${y + (LEGEND_ROW - LEGEND_SWATCH) / 2}" width="${LEGEND_SWATCH}" ` +
+          `height="${LEGEND_SWATCH}" fill="${entry.color}"/>`,
+        `<text x="${left + LEGEND_SWATCH + LEGEND_PADDING}" y="${y + LEGEND_ROW / 2}" ` +
+          `font-size="${LEGEND_FONT_SIZE}" dominant-baseline="middle" fill="${FIGURE_INK}">` +
+          `${escapeXml(entry.label)}</text>`
+      )
+      y += LEGEND_ROW
+    }
+  }
+
+  return `<g id="legend">${rows.join('')}</g>`
+}
+
+function measureLegend(legend, measureText) {
+  const titleWidth = measureText(legend.title.toUpperCase(), LEGEND_TITLE_SIZE)
+  if (legend.ramp) {
+    return {
+      width: Math.max(titleWidth, LEGEND_RAMP_WIDTH) + LEGEND_PADDING * 2,
+      height: LEGEND_ROW * 3 + LEGEND_PADDING * 2
+    }
+  }
+  const labelWidth = Math.max(0, ...legend.entries.map((entry) => measureText(entry.label, LEGEND_FONT_SIZE)))
+  return {
+    width: Math.max(titleWidth, LEGEND_SWATCH + LEGEND_PADDING + labelWidth) + LEGEND_PADDING * 2,
+    height: LEGEND_ROW * (legend.entries.length + 1) + LEGEND_PADDING * 2
+  }
+}
+
+// Monospace glyphs are 0.6em wide, close enough without a DOM to measure in.
+function estimateTextWidth(text, size) {
+  return String(text).length * size * 0.6
+}
+
+function measureBounds(points) {
+  let minX = Infinity
+  let minY = Infinity
+  let maxX = -Infinity
+  let maxY = -Infinity
+  for (const point of points) {
+    minX = Math.min(minX, point.x)
+    minY = Math.min(minY, point.y)
+    maxX = Math.max(maxX, point.x)
+    maxY = Math.max(maxY, point.y)
+  }
+  if (!Number.isFinite(minX)) return { minX: 0, minY: 0, width: 1, height: 1 }
+  return { minX, minY, width: maxX - minX, height: maxY - minY }
+}
+
+function formatCoordinate(value) {
+  return Number(value.toFixed(1))
+}
+
+function escapeXml(value) {
+  return String(value).replace(/[&<>"']/g, (character) => `&#${character.charCodeAt(0)};`)
+}
@@ -0,0 +1,52 @@
+import { prettifySpecies } from './nodeDisplay'
+
+// Similarity-weighted species vote over one fossil query's stored top-k
+// results. Confidence is the winning share of the total vote; margin is how
+// far it leads the runner-up, so a 0.5/0.5 split reads as zero margin.
+export function computeQueryConsensus(query, speciesLegend = []) {
+  const legendBySpecies = new Map(speciesLegend.map((entry) => [entry.species, entry]))
+  const votesBySpecies = new Map()
+  let total = 0
+
+  for (const result of query?.results ?? []) {
+    const species = result.display_species ?? result.species
+    const similarity = Number(result.similarity)
+    if (!species || !Number.isFinite(similarity)) continue
+
+    // Negative cosine similarity carries no evidence for the species.
+    const weight = Math.max(similarity, 0)
+    const vote = votesBySpecies.get(species) ?? {
+      species,
+      label: legendBySpecies.get(species)?.label ?? prettifySpecies(species),
+      color: legendBySpecies.get(species)?.color?.hex ?? '#111111',
+      score: 0,
+      count: 0,
+      bestSimilarity: -Infinity
+    }
+    vote.score += weight
+    vote.count += 1
+    vote.bestSimilarity = Math.max(vote.bestSimilarity, similarity)
+    votesBySpecies.set(species, vote)
+    total += weight
+  }
+
+  const votes = [...votesBySpecies.values()]
+    .map((vote) => ({ ...vote, share: total ? vote.score / total : 0 }))
+    .sort((a, b) => b.score - a.score || b.bestSimilarity - a.bestSimilarity)
+
+  const [winner, runnerUp] = votes
+  return {
+    nodeId: query?.query?.node_id ?? null,
+    query: query?.query ?? null,
+    votes,
+    predicted: winner ?? null,
+    confidence: winner ? winner.share : null,
+    margin: winner ? winner.share - (runnerUp?.share ?? 0) : null,
+    resultCount: votes.reduce((sum, vote) => sum + vote.count, 0)
+  }
+}
+
+export function computeFossilConsensus(data) {
+  const queries = data?.searchResults?.queries ?? []
+  return queries.map((query) => computeQueryConsensus(query, data.speciesLegend))
+}
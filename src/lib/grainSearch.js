@@ -0,0 +1,91 @@
+import { prettifySpecies } from './nodeDisplay'
+
+// Field weights: a hit in the filename is what people usually paste in, the
+// path is mostly redundant with filename + species so it ranks lowest.
+const SEARCH_FIELDS = [
+  { key: 'filename', weight: 1 },
+  { key: 'label', weight: 0.9 },
+  { key: 'id', weight: 1 },
+  { key: 'path', weight: 0.6 }
+]
+
+export function buildGrainSearchIndex(nodes) {
+  return nodes.map((node, index) => ({
+    index,
+    filename: normalizeSearchText(node.filename),
+    label: normalizeSearchText(prettifySpecies(node.displaySpecies ?? node.species)),
+    id: normalizeSearchText(node.id),
+    path: normalizeSearchText(node.path)
+  }))
+}
+
+export function searchGrains(searchIndex, query, limit = 8) {
+  const tokens = normalizeSearchText(query).split(' ').filter(Boolean)
+  if (!tokens.length) return []
+
+  const matches = []
+  for (const entry of searchIndex) {
+    let total = 0
+    let matchedEvery = true
+
+    for (const token of tokens) {
+      const score = scoreEntryToken(entry, token)
+      if (score <= 0) {
+        matchedEvery = false
+        break
+      }
+      total += score
+    }
+
+    if (matchedEvery) matches.push({ index: entry.index, score: total })
+  }
+
+  return matches.sort((a, b) => b.score - a.score || a.index - b.index).slice(0, limit)
+}
+
+function scoreEntryToken(entry, token) {
+  let best = 0
+  for (const field of SEARCH_FIELDS) {
+    const score = scoreText(entry[field.key], token, field.key === 'id') * field.weight
+    if (score > best) best = score
+  }
+  return best
+}
+
+function scoreText(text, token, exactOnly) {
+  if (!text) return 0
+  if (text === token) return 10
+  if (exactOnly) return 0
+
+  const position = text.indexOf(token)
+  if (position === 0) return 8
+  if (position > 0) {
+    const atWordStart = /[\s/_.-]/.test(text[position - 1])
+    return (atWordStart ? 7 : 5) - Math.min(2, position / 40)
+  }
+
+  return scoreSubsequence(text, token)
+}
+
+// Loose in-order character match so "jug nig 42" style typing still lands;
+// every skipped character costs a little.
+function scoreSubsequence(text, token) {
+  let textIndex = 0
+  let gaps = 0
+
+  for (const char of token) {
+    const found = text.indexOf(char, textIndex)
+    if (found < 0) return 0
+    gaps += found - textIndex
+    textIndex = found + 1
+  }
+
+  return Math.max(0.5, 3 - gaps / token.length / 4)
+}
+
+function normalizeSearchText(value) {
+  return String(value ?? '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim()
+}
@@ -0,0 +1,59 @@
+import { getNodeNeighbors } from './graphNeighbors'
+import { prettifySpecies } from './nodeDisplay'
+
+// One flat row per grain for the table view. Degree counts distinct linked
+// grains (kNN and bridge edges alike), matching the neighbor list in the
+// detail panel.
+export function buildGrainTableRows(data) {
+  if (!data) return []
+
+  return data.nodes.map((node, index) => {
+    const neighbors = getNodeNeighbors(data, index)
+    let similaritySum = 0
+    let similarityCount = 0
+    for (const neighbor of neighbors) {
+      if (neighbor.similarity == null) continue
+      similaritySum += neighbor.similarity
+      similarityCount += 1
+    }
+
+    const speciesLabel = prettifySpecies(node.displaySpecies ?? node.species)
+    return {
+      index,
+      id: node.id,
+      species: node.displaySpecies ?? node.species,
+      speciesLabel,
+      cropSize: node.crop_size ?? '',
+      filename: node.filename ?? '',
+      degree: neighbors.length,
+      meanSimilarity: similarityCount ? similaritySum / similarityCount : null,
+      searchText: [node.id, speciesLabel, node.crop_size, node.filename].join(' ').toLowerCase()
+    }
+  })
+}
+
+export function filterGrainTableRows(rows, { mask = null, text = '' } = {}) {
+  const terms = text.trim().toLowerCase().split(/\s+/).filter(Boolean)
+  if (!mask && !terms.length) return rows
+  return rows.filter(
+    (row) => (!mask || mask[row.index]) && terms.every((term) => row.searchText.includes(term))
+  )
+}
+
+// Missing values sort last in either direction; ties fall back to node order.
+export function sortGrainTableRows(rows, { key, descending }) {
+  const direction = descending ? -1 : 1
+  return [...rows].sort((a, b) => {
+    const aValue = a[key]
+    const bValue = b[key]
+    if (aValue == null || bValue == null) {
+      if (aValue == null && bValue == null) return a.index - b.index
+      return aValue == null ? 1 : -1
+    }
+    const order =
+      typeof aValue === 'number' && typeof bValue === 'number'
+        ? aValue - bValue
+        : String(aValue).localeCompare(String(bValue), undefined, { numeric: true })
+    return order * direction || a.index - b.index
+  })
+}
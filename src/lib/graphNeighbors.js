@@ -0,0 +1,42 @@
+// The export stores each pair once (source id < target id), so source and
+// target only reflect id order and a neighbor can sit at either end. Returns
+// one entry per linked grain; if a pair carries both a kNN and a bridge edge,
+// it keeps the kNN kind and the best similarity and rank of the two.
+export function getNodeNeighbors(data, nodeIndex) {
+  const incident = data?.edgesByNodeIndex?.[nodeIndex]
+  if (!incident?.length) return []
+
+  const byNeighbor = new Map()
+  for (const edge of incident) {
+    const neighborIndex = edge.sourceIndex === nodeIndex ? edge.targetIndex : edge.sourceIndex
+    if (neighborIndex === nodeIndex) continue
+
+    const edgeKind = edge.edge_kind ?? 'knn'
+    const similarity = Number(edge.similarity)
+    const rankHint = Number.isFinite(edge.rank_hint) ? edge.rank_hint : null
+    const existing = byNeighbor.get(neighborIndex)
+
+    if (!existing) {
+      byNeighbor.set(neighborIndex, {
+        index: neighborIndex,
+        node: data.nodes[neighborIndex],
+        similarity: Number.isFinite(similarity) ? similarity : null,
+        rankHint,
+        edgeKind
+      })
+      continue
+    }
+
+    if (edgeKind === 'knn') existing.edgeKind = 'knn'
+    if (Number.isFinite(similarity) && (existing.similarity == null || similarity > existing.similarity)) {
+      existing.similarity = similarity
+    }
+    if (rankHint != null && (existing.rankHint == null || rankHint < existing.rankHint)) {
+      existing.rankHint = rankHint
+    }
+  }
+
+  return [...byNeighbor.values()].sort(
+    (a, b) => (b.similarity ?? -Infinity) - (a.similarity ?? -Infinity) || a.index - b.index
+  )
+}
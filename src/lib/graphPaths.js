@@ -0,0 +1,116 @@
+// Edge cost is cosine distance, so the cheapest route is the one that stays
+// among the most similar grains rather than the one with the fewest hops.
+const MIN_EDGE_COST = 1e-6
+
+export function getEdgeCost(edge) {
+  const similarity = Number(edge.similarity)
+  if (!Number.isFinite(similarity)) return 1
+  return Math.max(MIN_EDGE_COST, 1 - similarity)
+}
+
+// Dijkstra over the undirected view of the exported graph (kNN and bridge
+// edges alike). Returns null when either endpoint is missing or unreachable.
+export function findSimilarityPath(data, sourceIndex, targetIndex) {
+  const nodeCount = data?.nodes?.length ?? 0
+  if (sourceIndex == null || targetIndex == null) return null
+  if (sourceIndex < 0 || targetIndex < 0 || sourceIndex >= nodeCount || targetIndex >= nodeCount) return null
+
+  const distances = new Float64Array(nodeCount).fill(Infinity)
+  const previousEdge = new Array(nodeCount).fill(null)
+  const settled = new Uint8Array(nodeCount)
+  const heap = new MinHeap()
+
+  distances[sourceIndex] = 0
+  heap.push(sourceIndex, 0)
+
+  while (heap.size) {
+    const { value: current, priority } = heap.pop()
+    if (settled[current] || priority > distances[current]) continue
+    settled[current] = 1
+    if (current === targetIndex) break
+
+    for (const edge of data.edgesByNodeIndex[current] ?? []) {
+      const next = edge.sourceIndex === current ? edge.targetIndex : edge.sourceIndex
+      if (settled[next]) continue
+
+      const candidate = distances[current] + getEdgeCost(edge)
+      if (candidate < distances[next]) {
+        distances[next] = candidate
+        previousEdge[next] = edge
+        heap.push(next, candidate)
+      }
+    }
+  }
+
+  if (!Number.isFinite(distances[targetIndex])) return null
+
+  const indices = [targetIndex]
+  const hops = []
+  let cursor = targetIndex
+  while (cursor !== sourceIndex) {
+    const edge = previousEdge[cursor]
+    const from = edge.sourceIndex === cursor ? edge.targetIndex : edge.sourceIndex
+    hops.unshift({
+      fromIndex: from,
+      toIndex: cursor,
+      similarity: Number(edge.similarity),
+      edgeKind: edge.edge_kind ?? 'knn'
+    })
+    indices.unshift(from)
+    cursor = from
+  }
+
+  const similarities = hops.map((hop) => hop.similarity).filter(Number.isFinite)
+  return {
+    indices,
+    hops,
+    totalCost: distances[targetIndex],
+    weakestSimilarity: similarities.length ? Math.min(...similarities) : null
+  }
+}
+
+class MinHeap {
+  constructor() {
+    this.items = []
+  }
+
+  get size() {
+    return this.items.length
+  }
+
+  push(value, priority) {
+    const items = this.items
+    items.push({ value, priority })
+    let index = items.length - 1
+
+    while (index > 0) {
+      const parent = (index - 1) >> 1
+      if (items[parent].priority <= items[index].priority) break
+      ;[items[parent], items[index]] = [items[index], items[parent]]
+      index = parent
+    }
+  }
+
+  pop() {
+    const items = this.items
+    const top = items[0]
+    const last = items.pop()
+
+    if (items.length) {
+      items[0] = last
+      let index = 0
+      for (;;) {
+        const left = index * 2 + 1
+        const right = left + 1
+        let smallest = index
+        if (left < items.length && items[left].priority < items[smallest].priority) smallest = left
+        if (right < items.length && items[right].priority < items[smallest].priority) smallest = right
+        if (smallest === index) break
+        ;[items[smallest], items[index]] = [items[index], items[smallest]]
+        index = smallest
+      }
+    }
+
+    return top
+  }
+}
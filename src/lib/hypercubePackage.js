@@ -0,0 +1,591 @@
+import { decodeBinaryPackage, isBinaryManifest } from './binaryPackage'
+import { buildLocalFileIndex, readLocalFile } from './localPackage'
+import { OFFLINE_CACHE_PARAM, getManifestVersion } from './offlineCache'
+import { hexToRgb01, prettifySpecies } from './nodeDisplay'
+import { NODE_GROUPS, getNodeGroup } from './nodeFilters'
+import { isVec3, preparePackage } from './packageValidation'
+import manifestLocalUrl from '../../tsne/manifest.json?url'
+import nodesLocalUrl from '../../tsne/nodes.json?url'
+import edgesLocalUrl from '../../tsne/edges.json?url'
+import speciesLocalUrl from '../../tsne/species.json?url'
+import searchResultsLocalUrl from '../../tsne/search_results.json?url'
+
+const DATA_PREFIX = (import.meta.env.VITE_DATA_PREFIX ?? '').replace(/\/+$/, '')
+const LOCAL_DATA_URLS = {
+  'manifest.json': manifestLocalUrl,
+  'nodes.json': nodesLocalUrl,
+  'edges.json': edgesLocalUrl,
+  'species.json': speciesLocalUrl,
+  'search_results.json': searchResultsLocalUrl
+}
+const FOSSIL_DISPLAY_SPECIES = 'fossil_pollen'
+const FOSSIL_COLOR_HEX = '#f21f2f'
+const DISPLAY_GLOBAL_SCALE = 0.95
+export const DISPLAY_SHAPE_MODES = ['freeform', 'spherify']
+const DISPLAY_SHAPE_MODE = String(import.meta.env.VITE_DISPLAY_SHAPE_MODE ?? 'freeform').toLowerCase()
+const DISPLAY_FIELD_CANDIDATES = ['position', 'position_cloud', 'position_tsne', 'position_raw']
+// Fields whose coordinates reach past this are treated as unnormalized (e.g.
+// position_raw) and uniformly rescaled into the [-1, 1] display cube.
+const DISPLAY_NORMALIZED_LIMIT = 1.5
+const DISPLAY_SPHERIFY_AMOUNT = Number.isFinite(Number(import.meta.env.VITE_DISPLAY_SPHERIFY_AMOUNT))
+  ? Number(import.meta.env.VITE_DISPLAY_SPHERIFY_AMOUNT)
+  : 0.82
+
+// The manifest is always fetched fresh (cache-busted, tagged "manifest");
+// every other file is tagged with the manifest version so the service worker
+// and the HTTP cache can keep it until the export changes.
+function withCacheParams(url, { cacheBust, cacheVersion }) {
+  if (String(url).startsWith('data:')) return url
+
+  const params = new URLSearchParams()
+  params.set(OFFLINE_CACHE_PARAM, cacheVersion ?? 'manifest')
+  if (cacheBust && !cacheVersion) params.set('v', cacheBust)
+  return `${url}${url.includes('?') ? '&' : '?'}${params}`
+}
+
+function buildUrl(filePath, cacheOptions) {
+  const clean = String(filePath || '')
+    .replace(/\\/g, '/')
+    .replace(/^\.?\//, '')
+    .replace(/^\/+/, '')
+
+  if (DATA_PREFIX) {
+    return withCacheParams(`/${DATA_PREFIX}/${clean}`, cacheOptions)
+  }
+
+  const localAssetUrl = LOCAL_DATA_URLS[clean]
+  if (localAssetUrl) {
+    return withCacheParams(localAssetUrl, cacheOptions)
+  }
+
+  return withCacheParams(`/${clean}`, cacheOptions)
+}
+
+async function fetchJson(filePath, options) {
+  if (options.localFiles) return JSON.parse(await readRequiredLocalFile(options.localFiles, filePath).text())
+
+  const url = buildUrl(filePath, options)
+  if (url.startsWith('data:')) {
+    return parseJsonDataUrl(url)
+  }
+
+  return (await fetchAsset(url, filePath, options)).json()
+}
+
+async function fetchArrayBuffer(filePath, options) {
+  if (options.localFiles) return readRequiredLocalFile(options.localFiles, filePath).arrayBuffer()
+  return (await fetchAsset(buildUrl(filePath, options), filePath, options)).arrayBuffer()
+}
+
+async function fetchAsset(url, filePath, { signal, cacheVersion }) {
+  const response = await fetch(url, {
+    signal,
+    cache: cacheVersion ? 'default' : 'no-store'
+  })
+
+  if (!response.ok) {
+    throw new Error(`Failed to load ${filePath} (${response.status})`)
+  }
+
+  return response
+}
+
+function readRequiredLocalFile(localFiles, filePath) {
+  const file = readLocalFile(localFiles, filePath)
+  if (!file) throw new Error(`The dropped export has no ${filePath}`)
+  return file
+}
+
+function parseJsonDataUrl(url) {
+  const value = String(url ?? '')
+  const commaIndex = value.indexOf(',')
+  if (commaIndex < 0) {
+    throw new Error('Invalid data URL for JSON asset')
+  }
+
+  const header = value.slice(0, commaIndex)
+  const payload = value.slice(commaIndex + 1)
+  const isBase64 = /;base64/i.test(header)
+
+  let decoded = ''
+  if (isBase64) {
+    if (typeof atob === 'function') {
+      decoded = atob(payload)
+    } else {
+      throw new Error('Base64 data URL decoding is not available in this environment')
+    }
+  } else {
+    decoded = decodeURIComponent(payload)
+  }
+
+  return JSON.parse(decoded)
+}
+
+function isFossilPollenNode(node) {
+  const searchable = [
+    node?.species,
+    node?.source_folder,
+    node?.path,
+    node?.filename,
+    node?.label,
+    node?.query_group
+  ]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase()
+
+  return searchable.includes('fossil')
+}
+
+function getDisplaySpecies(node) {
+  return isFossilPollenNode(node) ? FOSSIL_DISPLAY_SPECIES : node?.species
+}
+
+function chooseDisplayField(manifest, coordinatesByField) {
+  const candidates = [
+    manifest?.display_coordinates?.default_field,
+    'position_cloud',
+    'position',
+    'position_tsne',
+    'position_raw'
+  ].filter(Boolean)
+
+  return candidates.find((field) => coordinatesByField[field]) ?? Object.keys(coordinatesByField)[0] ?? null
+}
+
+function listDisplayFields(manifest, coordinatesByField) {
+  const advertised = manifest?.display_coordinates?.available_fields
+  const candidates = Array.isArray(advertised) && advertised.length ? advertised : DISPLAY_FIELD_CANDIDATES
+  return [...new Set(candidates)].filter((field) => coordinatesByField[field])
+}
+
+function getDisplayFieldScale(coordinates) {
+  let maxAbs = 0
+  for (const value of coordinates) {
+    if (Number.isFinite(value)) maxAbs = Math.max(maxAbs, Math.abs(value))
+  }
+  return maxAbs > DISPLAY_NORMALIZED_LIMIT ? 1 / maxAbs : 1
+}
+
+// JSON nodes carry each coordinate set as an {x, y, z} object. They are read
+// once into the same Float32Array-per-field layout binary exports ship, so
+// layout and relayout only ever touch typed arrays. Fields are picked from
+// the first node; a node missing one falls back to another it does have.
+function readNodeCoordinates(manifest, nodes) {
+  const sample = nodes[0] ?? {}
+  const fields = [
+    manifest?.display_coordinates?.default_field,
+    ...(manifest?.display_coordinates?.available_fields ?? []),
+    ...DISPLAY_FIELD_CANDIDATES
+  ].filter((field, index, list) => field && list.indexOf(field) === index && isVec3(sample[field]))
+
+  return Object.fromEntries(
+    fields.map((field) => {
+      const coordinates = new Float32Array(nodes.length * 3)
+      nodes.forEach((node, index) => {
+        const p = getDisplayPosition(node, field)
+        coordinates.set([p.x, p.y, p.z], index * 3)
+      })
+      return [field, coordinates]
+    })
+  )
+}
+
+// Binary coordinates are in row order; they are only copied when the rows
+// are not already sorted by id.
+function reorderCoordinates(coordinatesByField, rowOrder) {
+  if (rowOrder.every((row, index) => row === index)) return coordinatesByField
+
+  return Object.fromEntries(
+    Object.entries(coordinatesByField).map(([field, coordinates]) => {
+      const reordered = new Float32Array(coordinates.length)
+      rowOrder.forEach((row, index) => {
+        reordered.set(coordinates.subarray(row * 3, row * 3 + 3), index * 3)
+      })
+      return [field, reordered]
+    })
+  )
+}
+
+function getDisplayPosition(node, field) {
+  const candidates = [node?.[field], node?.position_cloud, node?.position, node?.position_tsne, node?.position_raw]
+  for (const candidate of candidates) {
+    if (isVec3(candidate)) return candidate
+  }
+  return { x: 0, y: 0, z: 0 }
+}
+
+function cubeToSphere(position) {
+  const x = position.x ?? 0
+  const y = position.y ?? 0
+  const z = position.z ?? 0
+
+  const xx = x * x
+  const yy = y * y
+  const zz = z * z
+
+  // Standard cube->sphere mapping. Applied to already-normalized display
+  // coordinates, this removes the hard "6-face cube" feel while keeping
+  // relative neighborhoods recognizable.
+  return {
+    x: x * Math.sqrt(Math.max(0, 1 - yy / 2 - zz / 2 + (yy * zz) / 3)),
+    y: y * Math.sqrt(Math.max(0, 1 - zz / 2 - xx / 2 + (zz * xx) / 3)),
+    z: z * Math.sqrt(Math.max(0, 1 - xx / 2 - yy / 2 + (xx * yy) / 3))
+  }
+}
+
+function stylizeDisplayPosition(position, shapeMode, fieldScale = 1) {
+  const raw = {
+    x: (position.x ?? 0) * fieldScale,
+    y: (position.y ?? 0) * fieldScale,
+    z: (position.z ?? 0) * fieldScale
+  }
+
+  // Default: preserve the exporter-provided cloud shape (free-form).
+  if (shapeMode !== 'spherify') {
+    return {
+      x: raw.x * DISPLAY_GLOBAL_SCALE,
+      y: raw.y * DISPLAY_GLOBAL_SCALE,
+      z: raw.z * DISPLAY_GLOBAL_SCALE
+    }
+  }
+
+  // Legacy mode for comparison: remap normalized positions toward a sphere.
+  const base = {
+    x: Math.max(-1, Math.min(1, raw.x)),
+    y: Math.max(-1, Math.min(1, raw.y)),
+    z: Math.max(-1, Math.min(1, raw.z))
+  }
+  const sphere = cubeToSphere(base)
+  const t = Math.max(0, Math.min(1, DISPLAY_SPHERIFY_AMOUNT))
+
+  return {
+    x: (base.x + (sphere.x - base.x) * t) * DISPLAY_GLOBAL_SCALE,
+    y: (base.y + (sphere.y - base.y) * t) * DISPLAY_GLOBAL_SCALE,
+    z: (base.z + (sphere.z - base.z) * t) * DISPLAY_GLOBAL_SCALE
+  }
+}
+
+function buildCropSizeLegend(species, nodes) {
+  const countsByCropSize = new Map()
+
+  for (const entry of species) {
+    for (const [cropSize, count] of Object.entries(entry.crop_sizes ?? {})) {
+      countsByCropSize.set(cropSize, (countsByCropSize.get(cropSize) ?? 0) + (Number(count) || 0))
+    }
+  }
+
+  // Older exports omit crop_sizes; fall back to counting the nodes directly.
+  if (!countsByCropSize.size) {
+    for (const node of nodes) {
+      if (!node.crop_size) continue
+      countsByCropSize.set(node.crop_size, (countsByCropSize.get(node.crop_size) ?? 0) + 1)
+    }
+  }
+
+  return [...countsByCropSize.entries()]
+    .map(([cropSize, count]) => ({ cropSize, count }))
+    .sort((a, b) => parseCropEdge(a.cropSize) - parseCropEdge(b.cropSize) || a.cropSize.localeCompare(b.cropSize))
+}
+
+function buildGroupLegend(nodes) {
+  const counts = new Map()
+  for (const node of nodes) {
+    const group = getNodeGroup(node)
+    counts.set(group, (counts.get(group) ?? 0) + 1)
+  }
+
+  return NODE_GROUPS.filter((group) => counts.has(group.id)).map((group) => ({
+    group: group.id,
+    label: group.label,
+    count: counts.get(group.id)
+  }))
+}
+
+function parseCropEdge(cropSize) {
+  const edge = Number.parseInt(String(cropSize), 10)
+  return Number.isFinite(edge) ? edge : Infinity
+}
+
+function layoutPositions(coordinates, nodeCount, shapeMode) {
+  const positions = new Float32Array(nodeCount * 3)
+  if (!coordinates) return positions
+
+  const fieldScale = getDisplayFieldScale(coordinates)
+  for (let o = 0; o < positions.length; o += 3) {
+    const p = stylizeDisplayPosition(
+      { x: coordinates[o], y: coordinates[o + 1], z: coordinates[o + 2] },
+      shapeMode,
+      fieldScale
+    )
+    positions[o] = p.x
+    positions[o + 1] = p.y
+    positions[o + 2] = p.z
+  }
+  return positions
+}
+
+function readDisplayPosition(positions, index) {
+  const o = index * 3
+  return { x: positions[o], y: positions[o + 1], z: positions[o + 2] }
+}
+
+function buildEdgePositions(positions, edges) {
+  const baseEdgePositions = new Float32Array(edges.length * 6)
+  edges.forEach((edge, edgeIndex) => {
+    baseEdgePositions.set(positions.subarray(edge.sourceIndex * 3, edge.sourceIndex * 3 + 3), edgeIndex * 6)
+    baseEdgePositions.set(positions.subarray(edge.targetIndex * 3, edge.targetIndex * 3 + 3), edgeIndex * 6 + 3)
+  })
+  return baseEdgePositions
+}
+
+function normalizeJsonEdges(edges, indexById) {
+  const normalizedEdges = []
+  for (const edge of edges) {
+    const sourceIndex = indexById.get(edge.source)
+    const targetIndex = indexById.get(edge.target)
+    if (sourceIndex == null || targetIndex == null) continue
+    normalizedEdges.push({ ...edge, sourceIndex, targetIndex })
+  }
+  return normalizedEdges
+}
+
+// Builds the one edge object per binary edge the UI reads, straight from the
+// endpoint, similarity and attribute arrays.
+function readBufferEdges({ edgeEndpoints, edgeSimilarity, edgeAttributes, edgeKinds }, rowOrder, nodes) {
+  const indexByRow = new Uint32Array(rowOrder.length)
+  rowOrder.forEach((row, index) => {
+    indexByRow[row] = index
+  })
+
+  const edges = new Array(edgeSimilarity.length)
+  for (let index = 0; index < edges.length; index += 1) {
+    const sourceIndex = indexByRow[edgeEndpoints[index * 2]]
+    const targetIndex = indexByRow[edgeEndpoints[index * 2 + 1]]
+    edges[index] = {
+      source: nodes[sourceIndex].id,
+      target: nodes[targetIndex].id,
+      similarity: edgeSimilarity[index],
+      rank_hint: (edgeAttributes && edgeAttributes[index * 2]) || null,
+      edge_kind: edgeKinds[edgeAttributes ? edgeAttributes[index * 2 + 1] : 0] ?? 'knn',
+      sourceIndex,
+      targetIndex
+    }
+  }
+  return edges
+}
+
+// Re-projects an already processed package onto another coordinate field or
+// shape mode. Node objects are rebuilt so displayPosition stays in sync, but
+// edges, indices and legends are shared with the source package.
+export function relayoutPackage(data, { displayField, shapeMode } = {}) {
+  if (!data) return data
+
+  const nextField = data.displayFields?.includes(displayField) ? displayField : data.displayField
+  const nextShapeMode = DISPLAY_SHAPE_MODES.includes(shapeMode) ? shapeMode : data.shapeMode
+  if (nextField === data.displayField && nextShapeMode === data.shapeMode) return data
+
+  const positions = layoutPositions(data.coordinatesByField[nextField], data.nodes.length, nextShapeMode)
+  return {
+    ...data,
+    displayField: nextField,
+    shapeMode: nextShapeMode,
+    nodes: data.nodes.map((node, index) => ({ ...node, displayPosition: readDisplayPosition(positions, index) })),
+    positions,
+    baseEdgePositions: buildEdgePositions(positions, data.edges)
+  }
+}
+
+// `graphBuffers` (from binaryPackage) replaces the node coordinate objects
+// and the edges array when the export is binary.
+export function processPackage({ manifest, nodes, edges, species, searchResults, graphBuffers = null }) {
+  const shapeMode = DISPLAY_SHAPE_MODES.includes(DISPLAY_SHAPE_MODE) ? DISPLAY_SHAPE_MODE : 'freeform'
+  const rowOrder = nodes.map((_, row) => row).sort((a, b) => nodes[a].id - nodes[b].id)
+  const coordinatesByField = graphBuffers
+    ? reorderCoordinates(graphBuffers.coordinatesByField, rowOrder)
+    : readNodeCoordinates(manifest, rowOrder.map((row) => nodes[row]))
+  const displayField = chooseDisplayField(manifest, coordinatesByField)
+  const positions = layoutPositions(coordinatesByField[displayField], nodes.length, shapeMode)
+  const sortedNodes = rowOrder.map((row, index) => {
+    const node = nodes[row]
+    const isFossilPollen = isFossilPollenNode(node)
+    return {
+      ...node,
+      isFossilPollen,
+      displaySpecies: isFossilPollen ? FOSSIL_DISPLAY_SPECIES : getDisplaySpecies(node),
+      displayPosition: readDisplayPosition(positions, index)
+    }
+  })
+  const speciesByKey = new Map(species.map((entry) => [entry.species, entry]))
+  const indexById = new Map()
+
+  const colors = new Float32Array(sortedNodes.length * 3)
+
+  sortedNodes.forEach((node, index) => {
+    indexById.set(node.id, index)
+
+    const o = index * 3
+    const colorHex = node.isFossilPollen
+      ? FOSSIL_COLOR_HEX
+      : speciesByKey.get(node.species)?.color?.hex ?? '#111111'
+    const [r, g, b] = hexToRgb01(colorHex)
+    colors[o] = r
+    colors[o + 1] = g
+    colors[o + 2] = b
+  })
+
+  const normalizedEdges = graphBuffers
+    ? readBufferEdges(graphBuffers, rowOrder, sortedNodes)
+    : normalizeJsonEdges(edges, indexById)
+  const edgesByNodeIndex = Array.from({ length: sortedNodes.length }, () => [])
+  for (const edge of normalizedEdges) {
+    edgesByNodeIndex[edge.sourceIndex].push(edge)
+    edgesByNodeIndex[edge.targetIndex].push(edge)
+  }
+
+  const baseEdgePositions = buildEdgePositions(positions, normalizedEdges)
+
+  const legendByDisplaySpecies = new Map()
+
+  sortedNodes.forEach((node) => {
+    const displaySpecies = node.displaySpecies ?? node.species
+    const existing = legendByDisplaySpecies.get(displaySpecies)
+
+    if (existing) {
+      existing.count += 1
+      return
+    }
+
+    const sourceEntry = speciesByKey.get(node.species)
+    const isFossilPollen = displaySpecies === FOSSIL_DISPLAY_SPECIES
+    legendByDisplaySpecies.set(displaySpecies, {
+      ...(sourceEntry ?? {}),
+      species: displaySpecies,
+      rawSpecies: isFossilPollen ? null : node.species,
+      label: prettifySpecies(displaySpecies),
+      count: 1,
+      isFossilPollen,
+      color: {
+        ...(sourceEntry?.color ?? {}),
+        hex: isFossilPollen ? FOSSIL_COLOR_HEX : sourceEntry?.color?.hex ?? '#111111'
+      }
+    })
+  })
+
+  const speciesLegend = [...legendByDisplaySpecies.values()].sort((a, b) => {
+    if (a.isFossilPollen) return -1
+    if (b.isFossilPollen) return 1
+    return b.count - a.count
+  })
+
+  const cropSizeLegend = buildCropSizeLegend(species, sortedNodes)
+  const groupLegend = buildGroupLegend(sortedNodes)
+
+  return {
+    manifest,
+    displayField,
+    displayFields: listDisplayFields(manifest, coordinatesByField),
+    shapeMode,
+    coordinatesByField,
+    nodes: sortedNodes,
+    edges: normalizedEdges,
+    species,
+    speciesLegend,
+    cropSizeLegend,
+    groupLegend,
+    searchResults,
+    displaySpeciesCount: speciesLegend.length,
+    positions,
+    colors,
+    baseEdgePositions,
+    edgesByNodeIndex,
+    indexById,
+    loadedAt: new Date().toISOString()
+  }
+}
+
+// Fetches the manifest and the files it lists. Runs inside the data worker,
+// so every URL it builds must be absolute (relative ones would resolve
+// against the worker script). With `localFiles` (see localPackage) the same
+// paths are read from a dropped export instead.
+export async function loadHypercubePackage({ cacheBust, ...manifestOptions } = {}) {
+  const manifest = await fetchJson('manifest.json', { ...manifestOptions, cacheBust })
+  const options = { ...manifestOptions, cacheVersion: getManifestVersion(manifest) }
+
+  const files = manifest.generated_files ?? {}
+  const searchResultsPath = files.search_results ?? 'search_results.json'
+  const [graph, species, searchResults] = await Promise.all([
+    loadGraphFiles(manifest, options),
+    fetchJson(files.species ?? 'species.json', options),
+    // Search results are optional in a local preview.
+    options.localFiles && !readLocalFile(options.localFiles, searchResultsPath)
+      ? null
+      : fetchJson(searchResultsPath, options)
+  ])
+
+  return {
+    manifest,
+    nodes: graph.nodes,
+    edges: graph.edges,
+    species,
+    searchResults,
+    graphBuffers: graph.graphBuffers ?? null,
+    loadDiagnostics: graph.loadDiagnostics
+  }
+}
+
+// Binary exports may still list nodes/edges JSON for older viewers; if the
+// binary files are missing or malformed those are used instead, and the
+// fallback is reported as a package warning.
+async function loadGraphFiles(manifest, options) {
+  const files = manifest.generated_files ?? {}
+  const loadDiagnostics = []
+
+  if (isBinaryManifest(manifest)) {
+    try {
+      return { ...(await loadBinaryGraphFiles(manifest, options)), loadDiagnostics }
+    } catch (error) {
+      if (options.signal?.aborted || !files.nodes || !files.edges) throw error
+      loadDiagnostics.push({
+        severity: 'warning',
+        file: 'manifest.json',
+        message: `Binary package unavailable (${error.message}); loaded ${files.nodes} and ${files.edges} instead.`,
+        examples: []
+      })
+    }
+  }
+
+  const [nodes, edges] = await Promise.all([
+    fetchJson(files.nodes ?? 'nodes.json', options),
+    fetchJson(files.edges ?? 'edges.json', options)
+  ])
+  return { nodes, edges, loadDiagnostics }
+}
+
+async function loadBinaryGraphFiles(manifest, options) {
+  const files = manifest.generated_files
+  const [nodeMetadata, positions, edgeEndpoints, edgeSimilarity, edgeAttributes] = await Promise.all([
+    fetchJson(files.node_metadata, options),
+    fetchArrayBuffer(files.positions, options),
+    fetchArrayBuffer(files.edge_endpoints, options),
+    fetchArrayBuffer(files.edge_similarity, options),
+    files.edge_attributes ? fetchArrayBuffer(files.edge_attributes, options) : null
+  ])
+
+  return decodeBinaryPackage(manifest, { nodeMetadata, positions, edgeEndpoints, edgeSimilarity, edgeAttributes })
+}
+
+// Full pipeline shared by the data worker and its main-thread fallback.
+// `droppedFiles` switches the source from the published export to a local one.
+export async function loadSceneData({ signal, cacheBust, droppedFiles } = {}) {
+  const localFiles = droppedFiles ? await buildLocalFileIndex(droppedFiles) : null
+  const { pkg, diagnostics } = preparePackage(await loadHypercubePackage({ signal, cacheBust, localFiles }))
+  return { ...processPackage(pkg), diagnostics }
+}
+
+// Typed arrays the worker hands over without copying. Binary coordinate
+// fields are views into one buffer, which may only be listed once.
+export function getPackageTransferables(data) {
+  const coordinateBuffers = Object.values(data.coordinatesByField).map((coordinates) => coordinates.buffer)
+  return [...new Set([data.positions.buffer, data.colors.buffer, data.baseEdgePositions.buffer, ...coordinateBuffers])]
+}
@@ -0,0 +1,86 @@
+import { getNodeNeighbors } from './graphNeighbors'
+
+// Leave-one-out kNN check of the embedding: every labelled grain is predicted
+// from the species of the grains it shares a kNN edge with. The grain never votes
+// for itself, and fossil neighbors abstain because their species is what the
+// tool is trying to find.
+export function classifyLeaveOneOut(data, { weighted = false } = {}) {
+  if (!data) return null
+
+  const labels = data.speciesLegend.filter((entry) => !entry.isFossilPollen)
+  const labelIndexBySpecies = new Map(labels.map((entry, index) => [entry.species, index]))
+  const labelOfNode = data.nodes.map((node) => labelIndexBySpecies.get(node.displaySpecies ?? node.species) ?? -1)
+
+  const matrix = labels.map(() => labels.map(() => 0))
+  const cellIndices = labels.map(() => labels.map(() => []))
+  const unassigned = []
+
+  data.nodes.forEach((node, nodeIndex) => {
+    const actual = labelOfNode[nodeIndex]
+    if (actual < 0) return
+
+    const predicted = predictLabel(getNodeNeighbors(data, nodeIndex), labelOfNode, weighted)
+    if (predicted < 0) {
+      unassigned.push(nodeIndex)
+      return
+    }
+
+    matrix[actual][predicted] += 1
+    cellIndices[actual][predicted].push(nodeIndex)
+  })
+
+  const perSpecies = labels.map((entry, index) => {
+    const support = matrix[index].reduce((sum, count) => sum + count, 0)
+    const predictedTotal = matrix.reduce((sum, row) => sum + row[index], 0)
+    const correct = matrix[index][index]
+    return {
+      species: entry.species,
+      label: entry.label,
+      color: entry.color?.hex ?? '#111111',
+      support,
+      precision: predictedTotal ? correct / predictedTotal : null,
+      recall: support ? correct / support : null
+    }
+  })
+
+  const classified = perSpecies.reduce((sum, entry) => sum + entry.support, 0)
+  const correct = labels.reduce((sum, _, index) => sum + matrix[index][index], 0)
+
+  return {
+    labels: perSpecies,
+    matrix,
+    cellIndices,
+    unassigned,
+    accuracy: classified ? correct / classified : null,
+    classifiedCount: classified
+  }
+}
+
+// Majority (or similarity-weighted) vote over every kNN edge touching the
+// grain. The export stores each pair once, so the neighbor can sit at either
+// end. Ties go to the label whose best single neighbor is most similar.
+function predictLabel(neighbors, labelOfNode, weighted) {
+  const votes = new Map()
+
+  for (const neighbor of neighbors) {
+    if (neighbor.edgeKind !== 'knn') continue
+    const label = labelOfNode[neighbor.index]
+    if (label < 0) continue
+
+    const similarity = neighbor.similarity ?? 0
+    const vote = votes.get(label) ?? { score: 0, best: -Infinity }
+    vote.score += weighted ? similarity : 1
+    vote.best = Math.max(vote.best, similarity)
+    votes.set(label, vote)
+  }
+
+  let predicted = -1
+  let winner = null
+  for (const [label, vote] of votes) {
+    if (!winner || vote.score > winner.score || (vote.score === winner.score && vote.best > winner.best)) {
+      predicted = label
+      winner = vote
+    }
+  }
+  return predicted
+}
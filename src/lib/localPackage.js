@@ -0,0 +1,155 @@
+// Lets a NEST export be previewed straight from disk. A drop yields either a
+// folder tree or a zip; both end up as a Map of export-relative paths to
+// Blobs, rooted at the folder that holds manifest.json, which the loader reads
+// in place of fetch.
+const ZIP_END_OF_DIRECTORY = 0x06054b50
+const ZIP_DIRECTORY_ENTRY = 0x02014b50
+const ZIP_LOCAL_HEADER = 0x04034b50
+const ZIP_MAX_COMMENT_BYTES = 0xffff
+
+// Runs on the main thread: directory entries are only reachable through the
+// DataTransfer of the drop event itself, and only synchronously.
+export async function collectDroppedFiles(dataTransfer) {
+  const entries = [...(dataTransfer.items ?? [])]
+    .filter((item) => item.kind === 'file')
+    .map((item) => item.webkitGetAsEntry?.())
+    .filter(Boolean)
+
+  if (!entries.length) {
+    return [...(dataTransfer.files ?? [])].map((file) => ({ path: file.name, file }))
+  }
+
+  const collected = []
+  await Promise.all(entries.map((entry) => walkEntry(entry, '', collected)))
+  return collected
+}
+
+export function describeDroppedFiles(droppedFiles) {
+  if (droppedFiles.length === 1) return droppedFiles[0].path
+  const roots = new Set(droppedFiles.map(({ path }) => path.split('/')[0]))
+  return roots.size === 1 ? [...roots][0] : `${droppedFiles.length} files`
+}
+
+export async function buildLocalFileIndex(droppedFiles) {
+  const files = new Map()
+
+  for (const { path, file } of droppedFiles) {
+    if (/\.zip$/i.test(path)) {
+      for (const [entryPath, blob] of await readZipEntries(file)) files.set(entryPath, blob)
+    } else {
+      files.set(normalizeLocalPath(path), file)
+    }
+  }
+
+  const manifestPath = [...files.keys()]
+    .filter((path) => path === 'manifest.json' || path.endsWith('/manifest.json'))
+    .sort((a, b) => a.split('/').length - b.split('/').length)[0]
+
+  if (!manifestPath) {
+    throw new Error('The dropped files do not include a manifest.json')
+  }
+
+  const root = manifestPath.slice(0, -'manifest.json'.length)
+  const rooted = new Map()
+  for (const [path, blob] of files) {
+    if (path.startsWith(root)) rooted.set(path.slice(root.length), blob)
+  }
+  return rooted
+}
+
+export function readLocalFile(localFiles, filePath) {
+  return localFiles.get(normalizeLocalPath(filePath)) ?? null
+}
+
+export function normalizeLocalPath(path) {
+  return String(path ?? '')
+    .replace(/\\/g, '/')
+    .replace(/^\.?\//, '')
+    .replace(/^\/+/, '')
+}
+
+function walkEntry(entry, parentPath, collected) {
+  const path = parentPath ? `${parentPath}/${entry.name}` : entry.name
+
+  if (entry.isFile) {
+    return new Promise((resolve, reject) => {
+      entry.file((file) => {
+        collected.push({ path, file })
+        resolve()
+      }, reject)
+    })
+  }
+
+  if (!entry.isDirectory) return Promise.resolve()
+
+  // readEntries hands back directory contents in batches until it returns [].
+  const reader = entry.createReader()
+  return new Promise((resolve, reject) => {
+    const pending = []
+    function readBatch() {
+      reader.readEntries((batch) => {
+        if (!batch.length) {
+          Promise.all(pending).then(resolve, reject)
+          return
+        }
+        for (const child of batch) pending.push(walkEntry(child, path, collected))
+        readBatch()
+      }, reject)
+    }
+    readBatch()
+  })
+}
+
+// Minimal zip reader: walks the central directory and inflates stored or
+// deflated entries with DecompressionStream. Zip64 and encryption are not
+// supported; exports are far below the 4 GB limit.
+async function readZipEntries(zipBlob) {
+  const buffer = await zipBlob.arrayBuffer()
+  const view = new DataView(buffer)
+  const directoryEnd = findEndOfDirectory(view)
+  if (directoryEnd < 0) throw new Error(`${zipBlob.name ?? 'Archive'} is not a readable zip file`)
+
+  const entryCount = view.getUint16(directoryEnd + 10, true)
+  let cursor = view.getUint32(directoryEnd + 16, true)
+  const decoder = new TextDecoder()
+  const entries = new Map()
+
+  for (let index = 0; index < entryCount; index += 1) {
+    if (view.getUint32(cursor, true) !== ZIP_DIRECTORY_ENTRY) throw new Error('Corrupt zip central directory')
+
+    const method = view.getUint16(cursor + 10, true)
+    const compressedSize = view.getUint32(cursor + 20, true)
+    const nameLength = view.getUint16(cursor + 28, true)
+    const extraLength = view.getUint16(cursor + 30, true)
+    const commentLength = view.getUint16(cursor + 32, true)
+    const localHeaderOffset = view.getUint32(cursor + 42, true)
+    const name = decoder.decode(new Uint8Array(buffer, cursor + 46, nameLength))
+    cursor += 46 + nameLength + extraLength + commentLength
+
+    if (name.endsWith('/') || name.startsWith('__MACOSX/')) continue
+    if (view.getUint32(localHeaderOffset, true) !== ZIP_LOCAL_HEADER) throw new Error(`Corrupt zip entry ${name}`)
+
+    const dataStart =
+      localHeaderOffset + 30 + view.getUint16(localHeaderOffset + 26, true) + view.getUint16(localHeaderOffset + 28, true)
+    const compressed = new Blob([new Uint8Array(buffer, dataStart, compressedSize)])
+
+    if (method === 0) {
+      entries.set(normalizeLocalPath(name), compressed)
+    } else if (method === 8) {
+      const inflated = compressed.stream().pipeThrough(new DecompressionStream('deflate-raw'))
+      entries.set(normalizeLocalPath(name), await new Response(inflated).blob())
+    } else {
+      throw new Error(`Zip entry ${name} uses unsupported compression method ${method}`)
+    }
+  }
+
+  return entries
+}
+
+function findEndOfDirectory(view) {
+  const lowest = Math.max(0, view.byteLength - 22 - ZIP_MAX_COMMENT_BYTES)
+  for (let offset = view.byteLength - 22; offset >= lowest; offset -= 1) {
+    if (view.getUint32(offset, true) === ZIP_END_OF_DIRECTORY) return offset
+  }
+  return -1
+}
@@ -0,0 +1,64 @@
+export function prettifySpecies(value) {
+  if (value === 'fossil_pollen') return 'Fossil pollen'
+
+  const normalized = String(value ?? '')
+    .replace(/_/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+
+  if (!normalized) return ''
+
+  const parts = normalized.toLowerCase().split(' ')
+  if (parts.length >= 2 && parts.every((part) => /^[a-z-]+$/.test(part))) {
+    return [capitalizeWord(parts[0]), ...parts.slice(1)].join(' ')
+  }
+
+  return normalized.replace(/\b\w/g, (match) => match.toUpperCase())
+}
+
+function capitalizeWord(value) {
+  return value ? value.charAt(0).toUpperCase() + value.slice(1) : ''
+}
+
+export function formatSimilarity(value) {
+  if (!Number.isFinite(value)) return 'n/a'
+  return value.toFixed(3)
+}
+
+export function formatPercent(value) {
+  if (!Number.isFinite(value)) return 'n/a'
+  return `${Math.round(value * 100)}%`
+}
+
+export function hexToRgb01(hex) {
+  const normalized = String(hex || '').replace('#', '')
+  const full =
+    normalized.length === 3
+      ? normalized
+          .split('')
+          .map((char) => char + char)
+          .join('')
+      : normalized
+  const parsed = Number.parseInt(full, 16)
+
+  if (Number.isNaN(parsed)) {
+    return [0.07, 0.07, 0.07]
+  }
+
+  return [
+    ((parsed >> 16) & 255) / 255,
+    ((parsed >> 8) & 255) / 255,
+    (parsed & 255) / 255
+  ]
+}
+
+export function buildThumbnailUrl(node) {
+  const species = String(node?.species ?? '').trim()
+  const cropSize = String(node?.crop_size ?? '').trim()
+  const filename = String(node?.filename ?? '').trim()
+
+  if (!species || !cropSize || !filename) return null
+
+  const base = String(import.meta.env.BASE_URL ?? '/').replace(/\/+$/, '')
+  return `${base}/${encodeURIComponent(species)}/${encodeURIComponent(cropSize)}/${encodeURIComponent(filename)}`
+}
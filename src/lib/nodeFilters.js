@@ -0,0 +1,63 @@
+export const NODE_FILTER_MODES = [
+  { id: 'dim', label: 'Dim' },
+  { id: 'hide', label: 'Hide' }
+]
+
+// Reference grains come from labelled species folders; fossil grains are the
+// unknowns the tool is built to place (see isFossilPollen in processPackage).
+export const NODE_GROUPS = [
+  { id: 'reference', label: 'Reference' },
+  { id: 'fossil', label: 'Fossil' }
+]
+
+export const DEFAULT_NODE_FILTERS = {
+  excludedSpecies: [],
+  excludedCropSizes: [],
+  excludedGroups: [],
+  mode: 'dim'
+}
+
+export function getNodeGroup(node) {
+  return node.isFossilPollen ? 'fossil' : 'reference'
+}
+
+export function hasActiveNodeFilters(filters) {
+  return Boolean(
+    filters?.excludedSpecies.length || filters?.excludedCropSizes.length || filters?.excludedGroups.length
+  )
+}
+
+// Returns a per-node 0/1 mask, or null when every node passes so callers can
+// keep using the unfiltered buffers.
+export function buildNodeFilterMask(nodes, filters) {
+  if (!hasActiveNodeFilters(filters)) return null
+
+  const excludedSpecies = new Set(filters.excludedSpecies)
+  const excludedCropSizes = new Set(filters.excludedCropSizes)
+  const excludedGroups = new Set(filters.excludedGroups)
+  const mask = new Uint8Array(nodes.length)
+
+  nodes.forEach((node, index) => {
+    const species = node.displaySpecies ?? node.species
+    const isExcluded =
+      excludedSpecies.has(species) || excludedCropSizes.has(node.crop_size) || excludedGroups.has(getNodeGroup(node))
+    mask[index] = isExcluded ? 0 : 1
+  })
+
+  return mask
+}
+
+export function countMaskedNodes(mask) {
+  if (!mask) return null
+  let count = 0
+  for (let index = 0; index < mask.length; index += 1) count += mask[index]
+  return count
+}
+
+export function toggleListValue(list, value) {
+  return list.includes(value) ? list.filter((entry) => entry !== value) : [...list, value]
+}
+
+export function isolateListValue(allValues, value) {
+  return allValues.filter((entry) => entry !== value)
+}
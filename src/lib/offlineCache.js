@@ -0,0 +1,37 @@
+// Shared contract with public/sw.js: data requests carry this query param,
+// set to "manifest" for the manifest itself and to the export's content
+// version for everything it lists.
+export const OFFLINE_CACHE_PARAM = 'nest_cache'
+
+const SERVICE_WORKER_URL = `${String(import.meta.env.BASE_URL ?? '/').replace(/\/+$/, '')}/sw.js`
+
+// Exporters should write `content_version`; older manifests fall back to a
+// hash of the manifest itself, which changes whenever counts or settings do.
+export function getManifestVersion(manifest) {
+  const declared = manifest?.content_version ?? manifest?.version
+  if (declared != null && String(declared).trim()) {
+    return String(declared).trim().replace(/[^\w.-]+/g, '_')
+  }
+  return `m${hashString(JSON.stringify(manifest ?? null))}`
+}
+
+// Dev builds skip the worker so edits to tsne/ show up without a stale cache.
+// The cache is an optimization: if registration fails the viewer simply
+// loads from the network as before, so the failure is not surfaced.
+export function registerOfflineCache() {
+  if (!import.meta.env.PROD || typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(SERVICE_WORKER_URL).catch(() => {})
+  })
+}
+
+// 32-bit FNV-1a, enough to tell manifests apart.
+function hashString(value) {
+  let hash = 0x811c9dc5
+  for (let index = 0; index < value.length; index += 1) {
+    hash ^= value.charCodeAt(index)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0')
+}
@@ -0,0 +1,314 @@
+// Checks a raw export package before processPackage turns it into scene data.
+// Each manifest/search `format` gets an adapter that brings it to the current
+// shape first; validation then only has to know one layout. Errors stop the
+// load, warnings travel with the data so the UI can surface them.
+const CURRENT_EXPORT_FORMAT = 'nest_hypercube_export_v2'
+const CURRENT_SEARCH_FORMAT = 'nest_static_fossil_search_v1'
+const POSITION_FIELDS = ['position', 'position_cloud', 'position_tsne', 'position_raw']
+const MAX_EXAMPLES = 3
+
+const EXPORT_ADAPTERS = {
+  nest_hypercube_export_v1: adaptExportV1,
+  nest_hypercube_export_v2: (pkg) => pkg,
+  // Decoded into v2 node/edge shapes by binaryPackage.
+  nest_hypercube_binary_v1: (pkg) => pkg
+}
+
+const SEARCH_ADAPTERS = {
+  nest_static_fossil_search_v1: (searchResults) => searchResults
+}
+
+export class PackageValidationError extends Error {
+  constructor(diagnostics) {
+    const errorCount = diagnostics.filter((entry) => entry.severity === 'error').length
+    super(`Export package failed validation (${errorCount} ${errorCount === 1 ? 'problem' : 'problems'})`)
+    this.name = 'PackageValidationError'
+    this.diagnostics = diagnostics
+  }
+}
+
+// Returns the adapted package plus its warnings, or throws a
+// PackageValidationError carrying every diagnostic found. Problems the loader
+// already worked around (`loadDiagnostics`) lead the list.
+export function preparePackage(rawPackage) {
+  const diagnostics = [...(rawPackage.loadDiagnostics ?? [])]
+  const report = (severity, file, message, examples) => {
+    diagnostics.push({ severity, file, message, examples: examples?.slice(0, MAX_EXAMPLES) ?? [] })
+  }
+
+  const pkg = adaptPackage(rawPackage, report)
+  validateNodes(pkg, report)
+  validateEdges(pkg, report)
+  validateSpecies(pkg, report)
+  validateSearchResults(pkg, report)
+
+  if (diagnostics.some((entry) => entry.severity === 'error')) {
+    throw new PackageValidationError(diagnostics)
+  }
+
+  return { pkg, diagnostics }
+}
+
+export function isVec3(value) {
+  return Boolean(value) && Number.isFinite(value.x) && Number.isFinite(value.y) && Number.isFinite(value.z)
+}
+
+function adaptPackage(rawPackage, report) {
+  const format = rawPackage.manifest?.format
+  let exportAdapter = EXPORT_ADAPTERS[format]
+
+  if (!exportAdapter) {
+    const version = parseFormatVersion(format, 'nest_hypercube_export_v')
+    if (version != null && version > 2) {
+      report('warning', 'manifest.json', `Format ${format} is newer than this viewer; reading it as ${CURRENT_EXPORT_FORMAT}.`)
+    } else {
+      report('warning', 'manifest.json', `Unknown format ${JSON.stringify(format ?? null)}; reading it as ${CURRENT_EXPORT_FORMAT}.`)
+    }
+    exportAdapter = EXPORT_ADAPTERS[CURRENT_EXPORT_FORMAT]
+  }
+
+  const pkg = exportAdapter({ ...rawPackage })
+  if (pkg.searchResults == null) {
+    report('warning', 'search_results.json', 'Not included; the fossil query panel will be empty.')
+    return { ...pkg, searchResults: { queries: [] } }
+  }
+
+  const searchFormat = pkg.searchResults?.format
+  let searchAdapter = SEARCH_ADAPTERS[searchFormat]
+
+  if (!searchAdapter) {
+    report(
+      'warning',
+      'search_results.json',
+      `Unknown search format ${JSON.stringify(searchFormat ?? null)}; reading it as ${CURRENT_SEARCH_FORMAT}.`
+    )
+    searchAdapter = SEARCH_ADAPTERS[CURRENT_SEARCH_FORMAT]
+  }
+
+  return { ...pkg, searchResults: searchAdapter(pkg.searchResults) }
+}
+
+// v1 exports predate multiple coordinate sets and named edge kinds: nodes
+// carried a flat x/y/z, edges a `weight`, and species was an object keyed by
+// species name.
+function adaptExportV1(pkg) {
+  const nodes = Array.isArray(pkg.nodes)
+    ? pkg.nodes.map((node) => {
+        if (isVec3(node.position) || !Number.isFinite(node.x)) return node
+        const { x, y, z, ...rest } = node
+        return { ...rest, position: { x, y, z: z ?? 0 } }
+      })
+    : pkg.nodes
+  const edges = Array.isArray(pkg.edges)
+    ? pkg.edges.map((edge) => ({
+        ...edge,
+        similarity: edge.similarity ?? edge.weight,
+        edge_kind: edge.edge_kind ?? 'knn'
+      }))
+    : pkg.edges
+  const species =
+    pkg.species && !Array.isArray(pkg.species)
+      ? Object.entries(pkg.species).map(([key, entry]) => ({ species: key, ...entry }))
+      : pkg.species
+
+  return { ...pkg, nodes, edges, species }
+}
+
+// Binary exports (see binaryPackage) carry every coordinate field for every
+// row in `graphBuffers`, so only JSON nodes need their position objects checked.
+function validateNodes({ manifest, nodes, graphBuffers }, report) {
+  if (!Array.isArray(nodes)) {
+    report('error', 'nodes.json', 'Expected an array of nodes.')
+    return
+  }
+
+  const seenIds = new Set()
+  const duplicateIds = []
+  const missingIds = []
+  const missingSpecies = []
+  const missingPositions = []
+  const missingDefaultField = []
+  const defaultField = manifest?.display_coordinates?.default_field
+  const bufferFields = graphBuffers ? Object.keys(graphBuffers.coordinatesByField) : null
+  const hasPosition = (node, field) => (bufferFields ? bufferFields.includes(field) : isVec3(node?.[field]))
+
+  nodes.forEach((node, index) => {
+    const label = node?.filename ?? `row ${index}`
+    if (node?.id == null) {
+      missingIds.push(label)
+    } else if (seenIds.has(node.id)) {
+      duplicateIds.push(node.id)
+    } else {
+      seenIds.add(node.id)
+    }
+
+    if (!node?.species) missingSpecies.push(label)
+    if (!POSITION_FIELDS.some((field) => hasPosition(node, field))) {
+      missingPositions.push(label)
+    } else if (defaultField && !hasPosition(node, defaultField)) {
+      missingDefaultField.push(label)
+    }
+  })
+
+  if (!nodes.length) report('error', 'nodes.json', 'The export contains no nodes.')
+  if (missingIds.length) report('error', 'nodes.json', `${missingIds.length} nodes have no id.`, missingIds)
+  if (duplicateIds.length) {
+    report('error', 'nodes.json', `${duplicateIds.length} node ids are used more than once.`, duplicateIds)
+  }
+  if (missingPositions.length) {
+    report(
+      'error',
+      'nodes.json',
+      `${missingPositions.length} nodes have none of ${POSITION_FIELDS.join(', ')}.`,
+      missingPositions
+    )
+  }
+  if (missingDefaultField.length) {
+    report(
+      'warning',
+      'nodes.json',
+      `${missingDefaultField.length} nodes lack ${defaultField}; another position field is shown for them.`,
+      missingDefaultField
+    )
+  }
+  if (missingSpecies.length) {
+    report('warning', 'nodes.json', `${missingSpecies.length} nodes have no species.`, missingSpecies)
+  }
+
+  checkCount(report, 'nodes.json', 'nodes', manifest?.counts?.nodes, nodes.length)
+}
+
+function validateEdges({ manifest, nodes, edges, graphBuffers }, report) {
+  if (graphBuffers) {
+    validateBufferEdges(manifest, graphBuffers, report)
+    return
+  }
+  if (!Array.isArray(edges)) {
+    report('error', 'edges.json', 'Expected an array of edges.')
+    return
+  }
+  if (!Array.isArray(nodes)) return
+
+  const nodeIds = new Set(nodes.map((node) => node?.id))
+  const dangling = []
+  const badSimilarity = []
+
+  edges.forEach((edge, index) => {
+    if (!nodeIds.has(edge?.source) || !nodeIds.has(edge?.target)) {
+      dangling.push(`${edge?.source} -> ${edge?.target}`)
+    }
+    if (!Number.isFinite(Number(edge?.similarity))) badSimilarity.push(`edge ${index}`)
+  })
+
+  if (dangling.length) {
+    report(
+      dangling.length === edges.length ? 'error' : 'warning',
+      'edges.json',
+      `${dangling.length} edges point at node ids that are not in nodes.json and will be dropped.`,
+      dangling
+    )
+  }
+  if (badSimilarity.length) {
+    report('warning', 'edges.json', `${badSimilarity.length} edges have no numeric similarity.`, badSimilarity)
+  }
+
+  checkCount(report, 'edges.json', 'edges', manifest?.counts?.edges, edges.length)
+}
+
+// Endpoints were range-checked while decoding; similarities still can be NaN.
+function validateBufferEdges(manifest, { edgeSimilarity }, report) {
+  const badSimilarity = []
+  edgeSimilarity.forEach((similarity, index) => {
+    if (!Number.isFinite(similarity)) badSimilarity.push(`edge ${index}`)
+  })
+
+  if (badSimilarity.length) {
+    report('warning', 'edge_similarity', `${badSimilarity.length} edges have no numeric similarity.`, badSimilarity)
+  }
+
+  checkCount(report, 'edge_similarity', 'edges', manifest?.counts?.edges, edgeSimilarity.length)
+}
+
+function validateSpecies({ manifest, nodes, species }, report) {
+  if (!Array.isArray(species)) {
+    report('error', 'species.json', 'Expected an array of species entries.')
+    return
+  }
+
+  const colorBySpecies = new Map(species.map((entry) => [entry?.species, entry?.color?.hex]))
+  const withoutColor = new Set()
+  const unknown = new Set()
+
+  for (const node of Array.isArray(nodes) ? nodes : []) {
+    if (!node?.species) continue
+    if (!colorBySpecies.has(node.species)) {
+      unknown.add(node.species)
+    } else if (!/^#[0-9a-f]{3}([0-9a-f]{3})?$/i.test(colorBySpecies.get(node.species) ?? '')) {
+      withoutColor.add(node.species)
+    }
+  }
+
+  if (unknown.size) {
+    report(
+      'warning',
+      'species.json',
+      `${unknown.size} node species are missing from species.json and will be drawn in the fallback color.`,
+      [...unknown]
+    )
+  }
+  if (withoutColor.size) {
+    report('warning', 'species.json', `${withoutColor.size} species have no valid hex color.`, [...withoutColor])
+  }
+
+  checkCount(report, 'species.json', 'species', manifest?.counts?.species, species.length)
+}
+
+function validateSearchResults({ nodes, searchResults }, report) {
+  if (!Array.isArray(searchResults.queries)) {
+    report('warning', 'search_results.json', 'No queries array; the fossil query panel will be empty.')
+    return
+  }
+
+  const nodeIds = new Set(Array.isArray(nodes) ? nodes.map((node) => node?.id) : [])
+  const missingQueries = []
+  const missingResults = []
+
+  for (const entry of searchResults.queries) {
+    const queryId = entry?.query?.node_id
+    if (!nodeIds.has(queryId)) missingQueries.push(queryId)
+    for (const result of entry?.results ?? []) {
+      if (!nodeIds.has(result?.node_id)) missingResults.push(`${queryId} -> ${result?.node_id}`)
+    }
+  }
+
+  if (missingQueries.length) {
+    report(
+      'warning',
+      'search_results.json',
+      `${missingQueries.length} queries reference grains that are not in nodes.json.`,
+      missingQueries
+    )
+  }
+  if (missingResults.length) {
+    report(
+      'warning',
+      'search_results.json',
+      `${missingResults.length} query results reference grains that are not in nodes.json.`,
+      missingResults
+    )
+  }
+
+  checkCount(report, 'search_results.json', 'queries', searchResults.counts?.queries, searchResults.queries.length, 'warning')
+}
+
+// A count mismatch usually means the files come from different export runs.
+function checkCount(report, file, noun, expected, actual, severity = 'error') {
+  if (expected == null || Number(expected) === actual) return
+  report(severity, file, `manifest lists ${expected} ${noun} but the file has ${actual}.`)
+}
+
+function parseFormatVersion(format, prefix) {
+  if (typeof format !== 'string' || !format.startsWith(prefix)) return null
+  const version = Number.parseInt(format.slice(prefix.length), 10)
+  return Number.isFinite(version) ? version : null
+}
@@ -0,0 +1,181 @@
+import { computeQueryConsensus } from './fossilConsensus'
+import { buildThumbnailUrl, formatPercent, formatSimilarity, prettifySpecies } from './nodeDisplay'
+
+const QUERY_EXPORT_COLUMNS = [
+  'query_node_id',
+  'query_filename',
+  'rank',
+  'result_node_id',
+  'species',
+  'filename',
+  'crop_size',
+  'similarity'
+]
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }
+
+// One row per (query, result) pair; similarity keeps full precision so the
+// numbers in a manuscript can be traced back to the export.
+export function buildQueryRows(queries) {
+  return queries.flatMap((query) =>
+    query.results.map((result, index) => ({
+      query_node_id: query.query.node_id,
+      query_filename: query.query.filename ?? '',
+      rank: index + 1,
+      result_node_id: result.node_id,
+      species: result.species ?? '',
+      filename: result.filename ?? '',
+      crop_size: result.crop_size ?? '',
+      similarity: Number(result.similarity)
+    }))
+  )
+}
+
+export function formatQueryCsv(queries) {
+  const lines = [QUERY_EXPORT_COLUMNS.join(',')]
+  for (const row of buildQueryRows(queries)) {
+    lines.push(QUERY_EXPORT_COLUMNS.map((column) => escapeCsvValue(row[column])).join(','))
+  }
+  return `${lines.join('\r\n')}\r\n`
+}
+
+export function formatQueryJson(queries, { searchResults, speciesLegend } = {}) {
+  return JSON.stringify(
+    {
+      format: 'nest_query_export_v1',
+      exported_at: new Date().toISOString(),
+      search_method: searchResults?.search_method ?? null,
+      k: searchResults?.k ?? null,
+      queries: queries.map((query) => {
+        const consensus = computeQueryConsensus(query, speciesLegend)
+        return {
+          query_node_id: query.query.node_id,
+          query_filename: query.query.filename ?? null,
+          query_crop_size: query.query.crop_size ?? null,
+          predicted_species: consensus.predicted?.species ?? null,
+          confidence: consensus.confidence,
+          margin: consensus.margin,
+          results: buildQueryRows([query]).map(({ query_node_id, query_filename, ...row }) => row)
+        }
+      })
+    },
+    null,
+    2
+  )
+}
+
+// Self-contained page for printing or saving as PDF. Thumbnail URLs are made
+// absolute because the report is opened from a blob: URL.
+export function buildQueryReportHtml(queries, { speciesLegend, baseUrl, title = 'NEST fossil query report' } = {}) {
+  const sections = queries.map((query) => {
+    const consensus = computeQueryConsensus(query, speciesLegend)
+    const rows = query.results
+      .map(
+        (result, index) => `
+          <tr>
+            <td>${index + 1}</td>
+            <td>${renderThumbnail(result, baseUrl)}</td>
+            <td>${escapeHtml(prettifySpecies(result.display_species ?? result.species))}</td>
+            <td>${escapeHtml(result.filename)}<br /><span class="muted">Node ${escapeHtml(result.node_id)} | ${escapeHtml(result.crop_size)}</span></td>
+            <td class="score">${formatSimilarity(Number(result.similarity))}</td>
+          </tr>`
+      )
+      .join('')
+
+    return `
+      <section class="query">
+        <header>
+          ${renderThumbnail(query.query, baseUrl, 'query-thumb')}
+          <div>
+            <h2>Fossil node ${escapeHtml(query.query.node_id)}</h2>
+            <div class="muted">${escapeHtml(query.query.filename)} | ${escapeHtml(query.query.crop_size)}</div>
+            ${
+              consensus.predicted
+                ? `<div class="verdict">Consensus: <strong>${escapeHtml(consensus.predicted.label)}</strong> (${formatPercent(
+                    consensus.confidence
+                  )}, margin ${formatPercent(consensus.margin)})</div>`
+                : ''
+            }
+          </div>
+        </header>
+        <table>
+          <thead><tr><th>Rank</th><th>Match</th><th>Species</th><th>File</th><th>Similarity</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </section>`
+  })
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: 'IBM Plex Sans', Helvetica, Arial, sans-serif; color: #111; margin: 24px; }
+  h1 { font-size: 1.2rem; margin: 0 0 4px; }
+  h2 { font-size: 1rem; margin: 0 0 4px; }
+  .muted { color: #666; font-size: 0.8rem; }
+  .toolbar { margin: 12px 0 20px; }
+  .toolbar button { border: 1px solid #111; background: #fff; padding: 6px 12px; cursor: pointer; }
+  .query { break-inside: avoid; page-break-inside: avoid; margin-bottom: 28px; }
+  .query header { display: flex; gap: 14px; align-items: center; margin-bottom: 10px; }
+  .verdict { margin-top: 6px; font-size: 0.85rem; }
+  table { width: 100%; border-collapse: collapse; font-size: 0.8rem; }
+  th, td { border-bottom: 1px solid #ddd; padding: 4px 6px; text-align: left; vertical-align: middle; }
+  th { font-family: 'IBM Plex Mono', monospace; font-weight: 400; text-transform: uppercase; font-size: 0.68rem; }
+  .score { font-family: 'IBM Plex Mono', monospace; text-align: right; }
+  img { display: block; width: 56px; height: 56px; object-fit: contain; background: #f3f3f0; }
+  img.query-thumb { width: 96px; height: 96px; }
+  @media print { .toolbar { display: none; } body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="muted">${queries.length} ${queries.length === 1 ? 'query' : 'queries'} | generated ${escapeHtml(
+    new Date().toLocaleString()
+  )}</div>
+<div class="toolbar"><button type="button" onclick="window.print()">Print</button></div>
+${sections.join('')}
+</body>
+</html>
+`
+}
+
+export function downloadTextFile(filename, text, mimeType) {
+  downloadBlob(filename, new Blob([text], { type: mimeType }))
+}
+
+export function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
+
+export function openHtmlReport(html) {
+  const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }))
+  const reportWindow = window.open(url, '_blank')
+  // Keep the blob alive long enough for the new tab to load it.
+  setTimeout(() => URL.revokeObjectURL(url), 60_000)
+  return reportWindow != null
+}
+
+function renderThumbnail(item, baseUrl, className = '') {
+  const src = buildThumbnailUrl(item)
+  if (!src) return ''
+  const absolute = baseUrl ? new URL(src, baseUrl).href : src
+  return `<img${className ? ` class="${className}"` : ''} src="${escapeHtml(absolute)}" alt="${escapeHtml(item.filename)}" />`
+}
+
+function escapeCsvValue(value) {
+  if (value == null || (typeof value === 'number' && !Number.isFinite(value))) return ''
+  const text = String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (character) => HTML_ESCAPES[character])
+}
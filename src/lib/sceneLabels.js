@@ -0,0 +1,131 @@
+// In-scene text labels. Each label names a group of grains; the canvas pins
+// it at their display-space centroid, so labels follow layout switches.
+const MIN_PART_SIZE = 12
+const MIN_PART_SHARE = 0.15
+// Centroid distance over mean RMS radius of the two halves. A single compact
+// blob splits at roughly 1.5-1.8; clearly separated lobes score above 2.2.
+const MIN_SPLIT_SEPARATION = 2.2
+const SPLIT_ITERATIONS = 16
+
+// One label per species at its centroid, or one per lobe when the layout
+// shows the species as two separated clusters. Fossils are scattered across
+// the map by design, so a centroid label would point at empty space.
+// `visibleMask` (0/1 per node, see nodeFilters) limits labels to the grains
+// still drawn, so hidden species lose their labels and centroids follow the
+// visible part of a species.
+export function buildSpeciesLabels(data, visibleMask = null) {
+  if (!data) return []
+
+  const indicesBySpecies = new Map()
+  data.nodes.forEach((node, index) => {
+    if (node.isFossilPollen || (visibleMask && !visibleMask[index])) return
+    const species = node.displaySpecies ?? node.species
+    if (!indicesBySpecies.has(species)) indicesBySpecies.set(species, [])
+    indicesBySpecies.get(species).push(index)
+  })
+
+  return data.speciesLegend.flatMap((entry) => {
+    const indices = indicesBySpecies.get(entry.species)
+    if (!indices?.length) return []
+
+    const points = indices.map((index) => getDisplayPoint(data.nodes[index]))
+    const parts = splitIntoLobes(indices, points)
+    return parts.map((part, position) => ({
+      key: `species-${entry.species}-${position}`,
+      text: entry.label,
+      color: entry.color?.hex ?? '#111111',
+      indices: part,
+      priority: part.length,
+      isSecondary: position > 0
+    }))
+  })
+}
+
+export function buildCommunityLabels(result, visibleMask = null) {
+  if (!result) return []
+  return result.communities.flatMap((community) => {
+    const indices = visibleMask ? community.indices.filter((index) => visibleMask[index]) : community.indices
+    if (!indices.length) return []
+    return [
+      {
+        key: `community-${community.id}`,
+        text: community.label,
+        color: community.color,
+        indices,
+        priority: indices.length,
+        isSecondary: false
+      }
+    ]
+  })
+}
+
+// Two-means seeded from the point farthest from the centroid and the point
+// farthest from that, so the split is deterministic. Returns [indices] when
+// the halves are not clearly apart, else both halves, larger first.
+function splitIntoLobes(indices, points) {
+  if (indices.length < MIN_PART_SIZE * 2) return [indices]
+
+  const centroid = meanPoint(points)
+  let seedA = farthestPoint(points, centroid)
+  let seedB = farthestPoint(points, seedA)
+  let assignments = null
+
+  for (let iteration = 0; iteration < SPLIT_ITERATIONS; iteration += 1) {
+    assignments = points.map((point) => squaredDistance(point, seedA) <= squaredDistance(point, seedB))
+    const pointsA = points.filter((_, position) => assignments[position])
+    const pointsB = points.filter((_, position) => !assignments[position])
+    if (!pointsA.length || !pointsB.length) return [indices]
+    seedA = meanPoint(pointsA)
+    seedB = meanPoint(pointsB)
+  }
+
+  const partA = indices.filter((_, position) => assignments[position])
+  const partB = indices.filter((_, position) => !assignments[position])
+  const smaller = Math.min(partA.length, partB.length)
+  if (smaller < MIN_PART_SIZE || smaller / indices.length < MIN_PART_SHARE) return [indices]
+
+  const radiusA = rmsRadius(points.filter((_, position) => assignments[position]), seedA)
+  const radiusB = rmsRadius(points.filter((_, position) => !assignments[position]), seedB)
+  const separation = Math.sqrt(squaredDistance(seedA, seedB)) / (((radiusA + radiusB) / 2) || 1)
+  if (separation < MIN_SPLIT_SEPARATION) return [indices]
+
+  return partA.length >= partB.length ? [partA, partB] : [partB, partA]
+}
+
+function getDisplayPoint(node) {
+  const p = node.displayPosition ?? node.position
+  return [p?.x ?? 0, p?.y ?? 0, p?.z ?? 0]
+}
+
+function meanPoint(points) {
+  const sum = [0, 0, 0]
+  for (const point of points) {
+    sum[0] += point[0]
+    sum[1] += point[1]
+    sum[2] += point[2]
+  }
+  return sum.map((value) => value / points.length)
+}
+
+function farthestPoint(points, origin) {
+  let farthest = points[0]
+  let farthestDistance = -1
+  for (const point of points) {
+    const distance = squaredDistance(point, origin)
+    if (distance > farthestDistance) {
+      farthest = point
+      farthestDistance = distance
+    }
+  }
+  return farthest
+}
+
+function rmsRadius(points, center) {
+  let sum = 0
+  for (const point of points) sum += squaredDistance(point, center)
+  return Math.sqrt(sum / points.length)
+}
+
+function squaredDistance(a, b) {
+  return (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2
+}
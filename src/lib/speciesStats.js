@@ -0,0 +1,93 @@
+// Per-species separability summary over the kNN graph. The export stores each
+// kNN pair once, so every edge is counted from both of its endpoints: a
+// species' edge count is the sum of its grains' kNN degrees. Bridge edges are
+// layout scaffolding, not similarity neighbors, and are left out.
+export function computeSpeciesStats(data) {
+  if (!data) return []
+
+  const speciesOfNode = data.nodes.map((node) => node.displaySpecies ?? node.species)
+  const statsBySpecies = new Map(
+    data.speciesLegend.map((entry) => [
+      entry.species,
+      {
+        species: entry.species,
+        label: entry.label,
+        color: entry.color?.hex ?? '#111111',
+        count: entry.count,
+        cropSizes: listCropSizes(entry, data.nodes, speciesOfNode),
+        knnEdgeCount: 0,
+        withinEdgeCount: 0,
+        intraSimilaritySum: 0,
+        neighborEdgeCounts: new Map()
+      }
+    ])
+  )
+
+  for (const edge of data.edges) {
+    if ((edge.edge_kind ?? 'knn') !== 'knn') continue
+
+    const sourceSpecies = speciesOfNode[edge.sourceIndex]
+    const targetSpecies = speciesOfNode[edge.targetIndex]
+    const similarity = Number(edge.similarity)
+    countEdgeEnd(statsBySpecies.get(sourceSpecies), targetSpecies, similarity)
+    countEdgeEnd(statsBySpecies.get(targetSpecies), sourceSpecies, similarity)
+  }
+
+  return [...statsBySpecies.values()].map(
+    ({ neighborEdgeCounts, intraSimilaritySum, ...stats }) => ({
+      ...stats,
+      meanIntraSimilarity: stats.withinEdgeCount ? intraSimilaritySum / stats.withinEdgeCount : null,
+      withinFraction: stats.knnEdgeCount ? stats.withinEdgeCount / stats.knnEdgeCount : null,
+      topNeighborSpecies: pickTopNeighbor(neighborEdgeCounts, statsBySpecies)
+    })
+  )
+}
+
+function countEdgeEnd(stats, otherSpecies, similarity) {
+  if (!stats) return
+
+  stats.knnEdgeCount += 1
+  if (stats.species !== otherSpecies) {
+    incrementCount(stats.neighborEdgeCounts, otherSpecies)
+    return
+  }
+
+  stats.withinEdgeCount += 1
+  if (Number.isFinite(similarity)) stats.intraSimilaritySum += similarity
+}
+
+function listCropSizes(legendEntry, nodes, speciesOfNode) {
+  const counts = new Map(Object.entries(legendEntry.crop_sizes ?? {}).map(([size, count]) => [size, Number(count) || 0]))
+
+  // species.json predating crop_sizes: count this species' nodes directly.
+  if (!counts.size) {
+    nodes.forEach((node, index) => {
+      if (speciesOfNode[index] === legendEntry.species && node.crop_size) incrementCount(counts, node.crop_size)
+    })
+  }
+
+  return [...counts.entries()].map(([cropSize, count]) => ({ cropSize, count }))
+}
+
+function pickTopNeighbor(neighborEdgeCounts, statsBySpecies) {
+  let best = null
+  let total = 0
+
+  for (const [species, edgeCount] of neighborEdgeCounts) {
+    total += edgeCount
+    if (!best || edgeCount > best.edgeCount || (edgeCount === best.edgeCount && species < best.species)) {
+      best = { species, edgeCount }
+    }
+  }
+
+  if (!best) return null
+  return {
+    ...best,
+    label: statsBySpecies.get(best.species)?.label ?? best.species,
+    share: best.edgeCount / total
+  }
+}
+
+function incrementCount(counts, key) {
+  counts.set(key, (counts.get(key) ?? 0) + 1)
+}
@@ -0,0 +1,19 @@
+import { getPackageTransferables, loadSceneData } from '../lib/hypercubePackage'
+
+// Fetching, JSON parsing and buffer building all happen here so the page keeps
+// painting while a large export loads. One request per worker; the hook
+// terminates the worker to cancel.
+self.addEventListener('message', async (event) => {
+  const { cacheBust, droppedFiles } = event.data ?? {}
+
+  try {
+    const data = await loadSceneData({ cacheBust, droppedFiles })
+    self.postMessage({ status: 'ready', data }, getPackageTransferables(data))
+  } catch (error) {
+    self.postMessage({
+      status: 'error',
+      message: error?.message ?? String(error),
+      diagnostics: error?.diagnostics ?? null
+    })
+  }
+})